@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+/**
+ * TheoTown Save Editor - Command Line
+ * Reads, edits, compares and checks .city files without a browser
+ *
+ * Usage: theotown-save <command> [options]
+ *   info <file>                        Header info (as shown in the editor)
+ *   get <file> [field...]              Print field values
+ *   set <file> <field=value>... (-o <out> | --in-place) [--preserve]
+ *                                      Change fields, validate and save
+ *   diff <fileA> <fileB>               List the fields that differ
+ *   verify <file>                      Diagnose the file and run the validator
+ *
+ * Fields are the names used by CityManager.applyValue ('money', 'rank',
+ * 'name', 'gamemode', 'uber', 'dsaSupplies'), node paths ('root…') or
+ * header key paths ('header.…'). --json prints machine-readable output.
+ *
+ * Exit codes: 0 success, 1 check failed (invalid value, validation error,
+ * damaged file, files differ), 2 usage error or unreadable file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src', 'js');
+
+// Core modules in bundle order; browser-only modules (backups, sessions, UI) are left out
+const MODULES = {
+    BinaryUtils: path.join(SRC_DIR, 'core', 'binary.js'),
+    PieceBuffer: path.join(SRC_DIR, 'core', 'buffer.js'),
+    BinaryJson: path.join(SRC_DIR, 'core', 'bjson.js'),
+    FileParser: path.join(SRC_DIR, 'core', 'parser.js'),
+    SaveDiagnostics: path.join(SRC_DIR, 'core', 'diagnostics.js'),
+    Validator: path.join(SRC_DIR, 'core', 'validator.js'),
+    BinaryFields: path.join(SRC_DIR, 'editor', 'fields.js'),
+    ParseWorker: path.join(SRC_DIR, 'editor', 'worker.js'),
+    SaveVerifier: path.join(SRC_DIR, 'editor', 'verifier.js'),
+    CityManager: path.join(SRC_DIR, 'editor', 'city.js'),
+    CityCompare: path.join(SRC_DIR, 'editor', 'compare.js')
+};
+
+// Fields listed by 'get' without arguments
+const KNOWN_FIELDS = ['name', 'money', 'rank', 'gamemode', 'uber', 'dsaSupplies'];
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+// A file that was read but cannot be parsed (exits with EXIT_FAILED)
+class FileError extends Error {}
+
+/**
+ * Load the core modules as globals, the way the bundle shares them
+ * The modules look each other (and pako) up when they run, so all of them
+ * are in place before any is used. Without Worker, ParseWorker runs on
+ * this thread.
+ */
+function loadModules() {
+    global.pako = require('pako');
+    for (const [name, file] of Object.entries(MODULES)) {
+        global[name] = require(file);
+    }
+}
+
+/**
+ * Split arguments into positionals and options
+ * @param {string[]} args - Arguments after the command
+ * @returns {Object} { positional, output, inPlace, preserve, json }
+ */
+function parseArgs(args) {
+    const options = { positional: [], output: null, inPlace: false, preserve: false, json: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '-o':
+            case '--output':
+                if (i + 1 >= args.length) throw new UsageError(`${arg} needs a path`);
+                options.output = args[++i];
+                break;
+            case '--in-place':
+                options.inPlace = true;
+                break;
+            case '--preserve':
+                options.preserve = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg.length > 1) throw new UsageError(`Unknown option ${arg}`);
+                options.positional.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Read a file
+ * @param {string} file - Path
+ * @returns {ArrayBuffer} File data
+ */
+function readFile(file) {
+    let data;
+    try {
+        data = fs.readFileSync(file);
+    } catch (err) {
+        throw new UsageError(`Cannot read ${file}: ${err.message}`);
+    }
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+}
+
+/**
+ * Open a city in CityManager (no backup is stored)
+ * @param {string} file - Path
+ * @returns {Promise<void>}
+ */
+async function openCity(file) {
+    let parsed;
+    try {
+        parsed = await ParseWorker.parse(readFile(file));
+    } catch (err) {
+        if (err instanceof UsageError) throw err;
+        throw new FileError(`${file}: ${err.message} (run 'verify' for details)`);
+    }
+    await CityManager.open(parsed.cityData, path.basename(file), { index: parsed, backup: false });
+}
+
+/**
+ * Turn a command-line value into the type of the field it is written to
+ * @param {string} field - Field
+ * @param {string} text - Value as typed
+ * @param {*} current - Current value of the field
+ * @returns {*} Value
+ * @throws {Error} If the text does not fit the field's type
+ */
+function convertValue(field, text, current) {
+    switch (typeof current) {
+        case 'number': {
+            const value = Number(text.replace(/,/g, '').trim());
+            if (text.trim() === '' || !isFinite(value)) throw new Error(`${field} needs a number, got ${JSON.stringify(text)}`);
+            return value;
+        }
+        case 'boolean':
+            if (/^(true|yes|on|1)$/i.test(text)) return true;
+            if (/^(false|no|off|0)$/i.test(text)) return false;
+            throw new Error(`${field} needs true or false, got ${JSON.stringify(text)}`);
+        case 'string':
+            return text;
+        default:
+            // null or a nested header value: take JSON, else the plain text
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return text;
+            }
+    }
+}
+
+/**
+ * Format a value for plain output; text is printed without quotes
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Print lines with their labels aligned
+ * @param {Array<Array<string>>} rows - [label, value]
+ */
+function printTable(rows) {
+    const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+    for (const [label, value] of rows) {
+        console.log((label + ':').padEnd(width) + value);
+    }
+}
+
+/**
+ * info <file>
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function info(options) {
+    const [file] = requireArgs(options, 1, 'info <file>');
+    const cityData = await readCityData(file);
+    const fileInfo = FileParser.getFileInfo(cityData.header);
+
+    if (options.json) {
+        console.log(JSON.stringify(fileInfo, null, 2));
+        return 0;
+    }
+    printTable([
+        ['Name', fileInfo.name],
+        ['Size', fileInfo.size],
+        ['Version', String(fileInfo.version)],
+        ['Difficulty', fileInfo.gamemode],
+        ['Money', fileInfo.money.toLocaleString()],
+        ['Population', fileInfo.population.toLocaleString()],
+        ['Rank', String(fileInfo.rank)],
+        ['Uber', fileInfo.uber ? 'yes' : 'no'],
+        ['Playtime', formatTime(fileInfo.playtime)],
+        ['Saves', String(fileInfo.saves)],
+        ['Modified', fileInfo.lastModified ? new Date(fileInfo.lastModified).toISOString() : 'Unknown']
+    ]);
+    return 0;
+}
+
+/**
+ * Parse a file without decoding its structure
+ * @param {string} file - Path
+ * @returns {Promise<Object>} City data from FileParser.parse
+ */
+async function readCityData(file) {
+    try {
+        return await FileParser.parse(readFile(file));
+    } catch (err) {
+        if (err instanceof UsageError) throw err;
+        throw new FileError(`${file}: ${err.message} (run 'verify' for details)`);
+    }
+}
+
+/**
+ * get <file> [field...]
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function get(options) {
+    const [file, ...requested] = requireArgs(options, 1, 'get <file> [field...]');
+    await openCity(file);
+
+    const fields = requested.length > 0 ? requested : KNOWN_FIELDS;
+    const values = {};
+    const errors = [];
+    for (const field of fields) {
+        const resolved = readField(field);
+        if (resolved.error) {
+            errors.push(resolved.error);
+        } else {
+            values[field] = resolved.value;
+        }
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(values, null, 2));
+    } else if (requested.length === 1) {
+        // A single value is printed bare, for scripts; containers as indented JSON
+        const value = values[requested[0]];
+        if (requested[0] in values) {
+            console.log(value !== null && typeof value === 'object' ? JSON.stringify(value, null, 2) : formatValue(value));
+        }
+    } else {
+        const rows = Object.entries(values).map(([field, value]) => [field, formatValue(value)]);
+        if (rows.length > 0) printTable(rows);
+    }
+    errors.forEach(message => console.error(message));
+    // Unresolved known fields are normal for some saves; asked-for ones are not
+    return errors.length > 0 && requested.length > 0 ? EXIT_FAILED : 0;
+}
+
+/**
+ * Read a field of the open city without the checks that come with editing
+ * Unlike CityManager.resolveField, node paths may name containers (read as
+ * JSON) and nodes of any type.
+ * @param {string} field - Field as for set
+ * @returns {Object} { value } or { error }
+ */
+function readField(field) {
+    if (field.startsWith('root')) {
+        const tree = CityManager.currentCity.tree;
+        if (!tree) return { error: 'The binary data cannot be decoded' };
+        const nodes = BinaryJson.select(tree, field);
+        if (nodes.length !== 1) {
+            return { error: nodes.length === 0 ? `${field} not found` : `${field} is ambiguous (${nodes.length} matches)` };
+        }
+        return { value: nodeToJson(CityManager.currentCity.binaryData, nodes[0]) };
+    }
+    if (field.startsWith('header.')) {
+        const value = CityManager.getHeaderValue(field.slice('header.'.length));
+        return value === undefined ? { error: `${field} not found` } : { value };
+    }
+    return CityManager.resolveField(field);
+}
+
+/**
+ * Convert a node and everything below it to plain JSON
+ * Repeated member names get ' (#2)', ' (#3)'... as in 'diff'.
+ * @param {Object} data - City data (PieceBuffer)
+ * @param {Object} node - Tree node
+ * @returns {*} Value
+ */
+function nodeToJson(data, node) {
+    if (!node.children) return BinaryJson.readValue(data, node);
+    if (node.kind === 'array') return node.children.map(child => nodeToJson(data, child));
+
+    const result = {};
+    for (const child of node.children) {
+        let key = child.name;
+        for (let n = 2; Object.prototype.hasOwnProperty.call(result, key); n++) {
+            key = `${child.name} (#${n})`;
+        }
+        result[key] = nodeToJson(data, child);
+    }
+    return result;
+}
+
+/**
+ * set <file> <field=value>... (-o <out> | --in-place) [--preserve]
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function set(options) {
+    const usage = 'set <file> <field=value>... (-o <out> | --in-place)';
+    const [file, ...assignments] = requireArgs(options, 2, usage);
+    if (!options.output && !options.inPlace) {
+        throw new UsageError(`Pass -o <out> or --in-place\nUsage: theotown-save ${usage}`);
+    }
+    if (options.output && options.inPlace) {
+        throw new UsageError('Pass either -o <out> or --in-place, not both');
+    }
+    await openCity(file);
+
+    const changes = [];
+    const errors = [];
+    for (const assignment of assignments) {
+        const eq = assignment.indexOf('=');
+        if (eq <= 0) throw new UsageError(`Expected field=value, got ${JSON.stringify(assignment)}`);
+        const field = assignment.slice(0, eq);
+        const resolved = CityManager.resolveField(field);
+        if (resolved.error) {
+            errors.push(resolved.error);
+            continue;
+        }
+        try {
+            changes.push({ field, value: convertValue(field, assignment.slice(eq + 1), resolved.value) });
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+    if (errors.length === 0) {
+        const result = CityManager.transaction('Command line', changes);
+        errors.push(...result.errors);
+    }
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(message));
+        console.error('Nothing was written');
+        return EXIT_FAILED;
+    }
+
+    const validation = CityManager.validate();
+    validation.warnings.forEach(message => console.error('Warning: ' + message));
+    if (!validation.valid) {
+        validation.errors.forEach(message => console.error(message));
+        console.error('Nothing was written');
+        return EXIT_FAILED;
+    }
+
+    const saved = await CityManager.save({ preserve: options.preserve });
+    if (!saved.data) {
+        saved.report.errors.forEach(message => console.error(message));
+        console.error('Save verification failed; nothing was written');
+        return EXIT_FAILED;
+    }
+
+    const target = options.output || file;
+    writeFile(target, saved.data);
+    for (const change of changes) {
+        console.log(`${change.field} = ${formatValue(CityManager.resolveField(change.field).value)}`);
+    }
+    console.log(`Saved ${target}`);
+    return 0;
+}
+
+/**
+ * Write a file through a temporary file, so an existing one is never left half-written
+ * @param {string} file - Path
+ * @param {Uint8Array} data - File data
+ */
+function writeFile(file, data) {
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(temp, data);
+        fs.renameSync(temp, file);
+    } catch (err) {
+        fs.rmSync(temp, { force: true });
+        throw new UsageError(`Cannot write ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * diff <fileA> <fileB>
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function diff(options) {
+    const [fileA, fileB] = requireArgs(options, 2, 'diff <fileA> <fileB>', 2);
+    const bufferA = readFile(fileA);
+    const bufferB = readFile(fileB);
+    let result;
+    try {
+        result = await CityCompare.compare(bufferA, bufferB);
+    } catch (err) {
+        throw new FileError(err.message);
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ rows: result.rows, summary: result.summary }, null, 2));
+        return result.rows.length > 0 ? EXIT_FAILED : 0;
+    }
+
+    const marks = { added: '+', removed: '-', changed: '~' };
+    // Containers show their size instead of a value
+    const describe = (value, count, type) => count !== null
+        ? `${type} (${count} item${count === 1 ? '' : 's'})`
+        : JSON.stringify(value);
+    for (const row of result.rows) {
+        let line = `${marks[row.status]} ${row.path}`;
+        if (row.label) line += ` [${row.label}]`;
+        if (row.oldPath) line += ` (was ${row.oldPath})`;
+        if (row.status === 'removed') {
+            line += `: ${describe(row.oldValue, row.oldCount, row.oldType)}`;
+        } else if (row.status === 'added') {
+            line += `: ${describe(row.newValue, row.newCount, row.newType)}`;
+        } else {
+            line += `: ${describe(row.oldValue, row.oldCount, row.oldType)} → ${describe(row.newValue, row.newCount, row.newType)}`;
+        }
+        if (row.typeChanged) line += ` (${row.oldType} → ${row.newType})`;
+        console.log(line);
+    }
+
+    const counts = result.summary;
+    console.log(`${counts.changed} changed, ${counts.added} added, ${counts.removed} removed` +
+        ` (${counts.typeChanged} type change${counts.typeChanged === 1 ? '' : 's'}), ${counts.unchanged.toLocaleString()} values unchanged`);
+    return result.rows.length > 0 ? EXIT_FAILED : 0;
+}
+
+/**
+ * verify <file>
+ * Runs SaveDiagnostics on the raw file, then the Validator on the opened city
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function verify(options) {
+    const [file] = requireArgs(options, 1, 'verify <file>');
+    const report = SaveDiagnostics.diagnose(readFile(file), path.basename(file));
+
+    let validation = null;
+    if (report.ok) {
+        await openCity(file);
+        validation = CityManager.validate();
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ diagnostics: report, validation }, null, 2));
+    } else {
+        for (const check of report.checks) {
+            console.log(`${check.status === 'ok' ? 'ok   ' : check.status.padEnd(5)} ${check.step}: ${check.message}`);
+            if (check.detail) console.log(`      ${check.detail}`);
+        }
+        if (!report.ok && report.recoverable) {
+            console.log('The payload is damaged; the editor can recover what is left of it');
+        }
+        if (validation) {
+            validation.errors.forEach(message => console.log(`error Validation: ${message}`));
+            validation.warnings.forEach(message => console.log(`warn  Validation: ${message}`));
+            if (validation.valid) console.log('ok    Validation: no errors');
+        }
+    }
+    return validation && validation.valid ? 0 : EXIT_FAILED;
+}
+
+/**
+ * Check the number of positional arguments
+ * @param {Object} options - Parsed arguments
+ * @param {number} min - Fewest arguments
+ * @param {string} usage - Usage line
+ * @param {number} [max] - Most arguments (default: any number)
+ * @returns {string[]} Positional arguments
+ */
+function requireArgs(options, min, usage, max = Infinity) {
+    const count = options.positional.length;
+    if (count < min || count > max) {
+        throw new UsageError(`Usage: theotown-save ${usage}`);
+    }
+    return options.positional;
+}
+
+/**
+ * Format seconds of playtime
+ * @param {number} seconds - Playtime
+ * @returns {string} E.g. '3h 20m'
+ */
+function formatTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+}
+
+const COMMANDS = { info, get, set, diff, verify };
+
+const HELP = `Usage: theotown-save <command> [options]
+
+Commands:
+  info <file>                       Show header info
+  get <file> [field...]             Print field values (default: the known fields)
+  set <file> <field=value>...       Change fields, validate and save
+        -o, --output <path>         Write to a new file
+        --in-place                  Overwrite the input file
+        --preserve                  Keep the header timestamp and save counter
+  diff <fileA> <fileB>              List fields that differ (exit 1 if any)
+  verify <file>                     Check the file and run the validator
+
+Fields: name, money, rank, gamemode, uber, dsaSupplies, a node path
+(e.g. root.city.estate) or a header path (e.g. header.info.playtime)
+
+Options:
+  --json                            Print JSON instead of text
+  -h, --help                        Show this help`;
+
+async function main(argv) {
+    const [command, ...args] = argv;
+    if (!command || command === '-h' || command === '--help') {
+        console.log(HELP);
+        return command ? 0 : EXIT_USAGE;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        console.error(`Unknown command ${command}\n\n${HELP}`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        loadModules();
+        return await COMMANDS[command](parseArgs(args));
+    } catch (err) {
+        if (!(err instanceof UsageError) && !(err instanceof FileError)) throw err;
+        console.error(err.message);
+        return err instanceof FileError ? EXIT_FAILED : EXIT_USAGE;
+    }
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        console.error(err.stack || err.message);
+        process.exitCode = EXIT_FAILED;
+    }
+);
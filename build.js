@@ -18,12 +18,24 @@ const files = {
     css: path.join(SRC_DIR, 'css', 'styles.css'),
     js: [
         path.join(SRC_DIR, 'js', 'core', 'binary.js'),
+        path.join(SRC_DIR, 'js', 'core', 'buffer.js'),
+        path.join(SRC_DIR, 'js', 'core', 'bjson.js'),
         path.join(SRC_DIR, 'js', 'core', 'parser.js'),
+        path.join(SRC_DIR, 'js', 'core', 'diagnostics.js'),
+        path.join(SRC_DIR, 'js', 'core', 'recovery.js'),
         path.join(SRC_DIR, 'js', 'core', 'validator.js'),
+        path.join(SRC_DIR, 'js', 'core', 'zip.js'),
         path.join(SRC_DIR, 'js', 'core', 'backup.js'),
         path.join(SRC_DIR, 'js', 'core', 'history.js'),
+        path.join(SRC_DIR, 'js', 'core', 'session.js'),
         path.join(SRC_DIR, 'js', 'editor', 'fields.js'),
+        path.join(SRC_DIR, 'js', 'editor', 'worker.js'),
+        path.join(SRC_DIR, 'js', 'editor', 'verifier.js'),
+        path.join(SRC_DIR, 'js', 'editor', 'recipe.js'),
         path.join(SRC_DIR, 'js', 'editor', 'city.js'),
+        path.join(SRC_DIR, 'js', 'editor', 'tabs.js'),
+        path.join(SRC_DIR, 'js', 'editor', 'batch.js'),
+        path.join(SRC_DIR, 'js', 'editor', 'compare.js'),
         path.join(SRC_DIR, 'js', 'ui', 'display.js'),
         path.join(SRC_DIR, 'js', 'ui', 'actions.js')
     ],
@@ -81,12 +93,24 @@ html = html.replace(
 
 // Remove all external script tags for our JS files
 html = html.replace(/<script src="js\/core\/binary\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/core\/buffer\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/core\/bjson\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/core\/parser\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/core\/diagnostics\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/core\/recovery\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/core\/validator\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/core\/zip\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/core\/backup\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/core\/history\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/core\/session\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/editor\/fields\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/editor\/worker\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/editor\/verifier\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/editor\/recipe\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/editor\/city\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/editor\/tabs\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/editor\/batch\.js"><\/script>\s*/g, '');
+html = html.replace(/<script src="js\/editor\/compare\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/ui\/display\.js"><\/script>\s*/g, '');
 html = html.replace(/<script src="js\/ui\/actions\.js"><\/script>\s*/g, '');
 
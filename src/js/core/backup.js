@@ -1,13 +1,35 @@
 /**
  * TheoTown Save Editor - Backup Manager
  * Handles backup storage using IndexedDB with memory fallback
+ *
+ * Every distinct version of a file is kept as its own backup, keyed by a
+ * hash of its content, the time it was stored and the filename. Loading the same content
+ * again stores nothing new. The first version seen of a filename is marked
+ * as its original and is never removed by the retention policy.
+ *
+ * Backup: { id, filename, hash, timestamp, data, header, size, original, file }
+ * - file is the .city file exactly as loaded, or null for backups stored
+ *   without it (these are rebuilt from data and header on download)
  */
 
 const BackupManager = {
     dbName: 'theotown-save-editor',
     storeName: 'backups',
+    // Version 2 replaced one backup per filename with versioned backups
+    DB_VERSION: 2,
     db: null,
-    memoryBackup: null, // Fallback for when IndexedDB is unavailable
+    // Set when IndexedDB cannot be opened; backups then stay in memory
+    unavailable: false,
+    memoryBackups: [], // Fallback for when IndexedDB is unavailable
+
+    // Identifies manifest.json in archives made by exportArchive
+    ARCHIVE_FORMAT: 'theotown-save-editor-backups',
+
+    // Retention policy per filename; the original version is always kept
+    retention: {
+        maxVersions: 10,    // Versions kept per filename, including the original (0 = no limit)
+        maxAgeDays: 0       // Versions older than this are removed (0 = no limit)
+    },
 
     /**
      * Initialize IndexedDB
@@ -15,13 +37,15 @@ const BackupManager = {
      */
     async init() {
         if (this.db) return true;
+        if (this.unavailable) return false;
 
         return new Promise((resolve) => {
             try {
-                const request = indexedDB.open(this.dbName, 1);
+                const request = indexedDB.open(this.dbName, this.DB_VERSION);
 
                 request.onerror = () => {
                     console.warn('IndexedDB not available, using memory backup');
+                    this.unavailable = true;
                     resolve(false);
                 };
 
@@ -32,85 +56,198 @@ const BackupManager = {
 
                 request.onupgradeneeded = (event) => {
                     const db = event.target.result;
-                    if (!db.objectStoreNames.contains(this.storeName)) {
-                        db.createObjectStore(this.storeName, { keyPath: 'filename' });
+                    if (event.oldVersion < 2 && db.objectStoreNames.contains(this.storeName)) {
+                        this.migrateStore(db, event.target.transaction);
+                    } else if (!db.objectStoreNames.contains(this.storeName)) {
+                        this.createStore(db);
                     }
                 };
             } catch (e) {
                 console.warn('IndexedDB error:', e);
+                this.unavailable = true;
                 resolve(false);
             }
         });
     },
 
     /**
-     * Store a backup of the original file
-     * @param {string} filename - Original filename
-     * @param {Uint8Array} data - Original file data (before any edits)
-     * @param {Object} header - Original header
-     * @returns {Promise<boolean>} Success status
+     * Create the backup store
+     * @param {IDBDatabase} db - Database being upgraded
+     * @returns {IDBObjectStore} Store
      */
-    async store(filename, data, header) {
-        const backup = {
+    createStore(db) {
+        const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+        store.createIndex('filename', 'filename', { unique: false });
+        return store;
+    },
+
+    /**
+     * Move version 1 backups (one per filename) into the versioned store
+     * Each becomes the original of its filename - it is the oldest copy left.
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} tx - Upgrade transaction
+     */
+    migrateStore(db, tx) {
+        const request = tx.objectStore(this.storeName).getAll();
+        request.onsuccess = () => {
+            const old = request.result || [];
+            db.deleteObjectStore(this.storeName);
+            const store = this.createStore(db);
+            for (const backup of old) {
+                if (!backup.data) continue;
+                const timestamp = Number.isFinite(backup.timestamp) ? backup.timestamp : Date.now();
+                store.add(this.createBackup(backup.filename, backup.data, backup.header, timestamp, true));
+            }
+        };
+    },
+
+    /**
+     * Build a backup record
+     * @param {string} filename - Filename
+     * @param {Uint8Array} data - Decompressed data
+     * @param {Object} header - Header
+     * @param {number} timestamp - Time stored
+     * @param {boolean} original - Whether this is the first version of the filename
+     * @param {string} [hash] - Content hash, if already computed
+     * @param {Uint8Array} [file] - The file as loaded
+     * @returns {Object} Backup
+     */
+    createBackup(filename, data, header, timestamp, original, hash = this.hash(data, header), file = null) {
+        return {
+            // The same content can be stored under several filenames at once
+            id: `${hash}-${timestamp}-${filename}`,
             filename: filename,
+            hash: hash,
+            timestamp: timestamp,
             data: new Uint8Array(data), // Clone the data
             header: JSON.parse(JSON.stringify(header)), // Deep clone
-            timestamp: Date.now()
+            size: data.length,
+            original: original,
+            file: file ? new Uint8Array(file) : null
+        };
+    },
+
+    /**
+     * Hash backup content (data and header)
+     * Two 32-bit lanes of a multiplicative hash, as 16 hex digits.
+     * @param {Uint8Array} data - Decompressed data
+     * @param {Object} header - Header
+     * @returns {string} Hash
+     */
+    hash(data, header) {
+        let h1 = 0xdeadbeef ^ data.length;
+        let h2 = 0x41c6ce57 ^ data.length;
+        const mix = (byte) => {
+            h1 = Math.imul(h1 ^ byte, 2654435761);
+            h2 = Math.imul(h2 ^ byte, 1597334677);
         };
+        for (let i = 0; i < data.length; i++) mix(data[i]);
+        const text = JSON.stringify(header || null);
+        for (let i = 0; i < text.length; i++) mix(text.charCodeAt(i));
 
-        // Always store in memory as fallback
-        this.memoryBackup = backup;
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        const hex = (n) => (n >>> 0).toString(16).padStart(8, '0');
+        return hex(h2) + hex(h1);
+    },
 
-        // Try to persist to IndexedDB
-        await this.init();
-        if (!this.db) return true; // Memory backup succeeded
+    /**
+     * Store a backup of a file version
+     * Content already backed up under this filename is not stored again.
+     * @param {string} filename - Original filename
+     * @param {Uint8Array} data - Decompressed data as loaded (before any edits)
+     * @param {Object} header - Header as loaded
+     * @param {Uint8Array} [file] - The file as loaded, so that it can be downloaded byte for byte
+     * @returns {Promise<string|null>} Id of the backup holding this content, or null if storing failed
+     */
+    async store(filename, data, header, file = null) {
+        const versions = await this.list(filename);
+        const hash = this.hash(data, header);
+        const existing = versions.find(version => version.hash === hash);
+        if (existing) return existing.id;
 
-        return new Promise((resolve) => {
-            try {
-                const tx = this.db.transaction(this.storeName, 'readwrite');
-                const store = tx.objectStore(this.storeName);
-                const request = store.put(backup);
+        const backup = this.createBackup(filename, data, header, Date.now(), versions.length === 0, hash, file);
+        if (!await this.add(backup)) return null;
 
-                request.onsuccess = () => resolve(true);
-                request.onerror = () => {
-                    console.warn('Failed to store backup in IndexedDB');
-                    resolve(true); // Memory backup still valid
-                };
-            } catch (e) {
-                console.warn('IndexedDB store error:', e);
-                resolve(true); // Memory backup still valid
+        await this.prune(filename);
+        return backup.id;
+    },
+
+    /**
+     * Change the retention policy and apply it to every filename
+     * @param {Object} policy - { maxVersions, maxAgeDays } (omitted keys are unchanged)
+     * @returns {Promise<number>} Number of backups removed
+     */
+    async setRetention(policy) {
+        this.retention = Object.assign({}, this.retention, policy);
+
+        const filenames = new Set((await this.list()).map(backup => backup.filename));
+        let removed = 0;
+        for (const filename of filenames) {
+            removed += await this.prune(filename);
+        }
+        return removed;
+    },
+
+    /**
+     * Remove versions of a filename the retention policy no longer keeps
+     * The original and the newest version are always kept.
+     * @param {string} filename - Filename
+     * @returns {Promise<number>} Number of backups removed
+     */
+    async prune(filename) {
+        const { maxVersions, maxAgeDays } = this.retention;
+        const versions = await this.list(filename);
+        const oldest = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+
+        // Newest first; the original takes one of the maxVersions slots
+        let kept = versions.some(version => version.original) ? 1 : 0;
+        let removed = 0;
+        for (let i = 0; i < versions.length; i++) {
+            const version = versions[i];
+            if (version.original) continue;
+
+            const tooMany = maxVersions > 0 && kept >= maxVersions;
+            const tooOld = version.timestamp < oldest;
+            if (i > 0 && (tooMany || tooOld)) {
+                if (await this.clear(version.id)) removed++;
+            } else {
+                kept++;
             }
-        });
+        }
+        return removed;
+    },
+
+    /**
+     * List backups, newest first, without their data
+     * @param {string} [filename] - Only list versions of this filename
+     * @returns {Promise<Object[]>} Backup info from getBackupInfo
+     */
+    async list(filename) {
+        const backups = await this.getAll(filename);
+        return backups
+            .map(backup => this.toInfo(backup))
+            .sort((a, b) => b.timestamp - a.timestamp);
     },
 
     /**
      * Retrieve a backup
-     * @param {string} filename - Filename to retrieve
+     * @param {string} id - Backup id
      * @returns {Promise<Object|null>} Backup data or null
      */
-    async retrieve(filename) {
-        // Check memory backup first
-        if (this.memoryBackup && this.memoryBackup.filename === filename) {
-            return this.memoryBackup;
-        }
-
-        // Try IndexedDB
+    async retrieve(id) {
         await this.init();
-        if (!this.db) return null;
+        if (!this.db) {
+            return this.memoryBackups.find(backup => backup.id === id) || null;
+        }
 
         return new Promise((resolve) => {
             try {
                 const tx = this.db.transaction(this.storeName, 'readonly');
                 const store = tx.objectStore(this.storeName);
-                const request = store.get(filename);
+                const request = store.get(id);
 
-                request.onsuccess = () => {
-                    const result = request.result;
-                    if (result) {
-                        this.memoryBackup = result; // Cache in memory
-                    }
-                    resolve(result || null);
-                };
+                request.onsuccess = () => resolve(request.result || null);
                 request.onerror = () => resolve(null);
             } catch (e) {
                 resolve(null);
@@ -118,69 +255,288 @@ const BackupManager = {
         });
     },
 
+    /**
+     * Get the original (first) version of a filename
+     * @param {string} filename - Filename
+     * @returns {Promise<Object|null>} Backup info or null
+     */
+    async getOriginal(filename) {
+        const versions = await this.list(filename);
+        return versions.find(version => version.original) || null;
+    },
+
     /**
      * Check if a backup exists
-     * @param {string} filename - Filename to check
+     * @param {string} id - Backup id
      * @returns {Promise<boolean>} Whether backup exists
      */
-    async hasBackup(filename) {
-        if (this.memoryBackup && this.memoryBackup.filename === filename) {
-            return true;
-        }
-
-        const backup = await this.retrieve(filename);
+    async hasBackup(id) {
+        const backup = await this.retrieve(id);
         return backup !== null;
     },
 
     /**
-     * Get backup as downloadable Blob
-     * @param {string} filename - Filename to retrieve
+     * Get backup as a downloadable .city file
+     * @param {string} id - Backup id
      * @returns {Promise<Blob|null>} Blob for download or null
      */
-    async getAsBlob(filename) {
-        const backup = await this.retrieve(filename);
+    async getAsBlob(id) {
+        const backup = await this.retrieve(id);
         if (!backup || !backup.data) return null;
 
-        return new Blob([backup.data], { type: 'application/octet-stream' });
+        return new Blob([this.toFile(backup)], { type: 'application/octet-stream' });
+    },
+
+    /**
+     * Get the .city file of a backup
+     * Backups without the loaded file are rebuilt: the stored header is
+     * written as is (no timestamp or save counter bump) and the data is
+     * compressed again, so the gzip bytes may differ from the loaded file.
+     * @param {Object} backup - Backup
+     * @returns {Uint8Array} File data
+     */
+    toFile(backup) {
+        if (backup.file) return backup.file;
+        return FileParser.serialize({
+            header: backup.header,
+            originalHeader: backup.header,
+            binaryData: PieceBuffer.create(backup.data)
+        }, { preserve: true });
+    },
+
+    /**
+     * Pack every backup into a zip archive
+     * Each version is a .city file; manifest.json lists their metadata.
+     * @returns {Promise<Uint8Array>} Archive
+     */
+    async exportArchive() {
+        const backups = (await this.getAll()).sort((a, b) => a.timestamp - b.timestamp);
+        const manifest = {
+            format: this.ARCHIVE_FORMAT,
+            version: 1,
+            exported: Date.now(),
+            backups: []
+        };
+        const entries = [];
+
+        for (const backup of backups) {
+            const path = `backups/${backup.id}/${backup.filename}`;
+            manifest.backups.push({
+                path: path,
+                filename: backup.filename,
+                hash: backup.hash,
+                timestamp: backup.timestamp,
+                original: backup.original
+            });
+            entries.push({
+                name: path,
+                data: this.toFile(backup),
+                date: new Date(backup.timestamp),
+                // .city payloads are already compressed
+                compress: false
+            });
+        }
+
+        const json = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+        entries.unshift({ name: 'manifest.json', data: json });
+        return ZipArchive.create(entries);
+    },
+
+    /**
+     * Add the backups from an archive made by exportArchive
+     * Versions whose content is already stored under the same filename are
+     * skipped. An imported version stays the original of its filename only
+     * if no original is stored yet. Items without a valid timestamp are
+     * dated at the import.
+     * @param {ArrayBuffer|Uint8Array} buffer - Archive
+     * @returns {Promise<Object>} { added, skipped, failed: string[], removed } - removed
+     *   counts versions the retention policy dropped afterwards
+     * @throws {Error} If the file is not a backup archive
+     */
+    async importArchive(buffer) {
+        const files = {};
+        for (const entry of ZipArchive.read(buffer)) {
+            files[entry.name] = entry.data;
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(new TextDecoder('utf-8').decode(files['manifest.json']));
+        } catch (e) {
+            throw new Error('The archive has no readable manifest.json');
+        }
+        if (manifest.format !== this.ARCHIVE_FORMAT || !Array.isArray(manifest.backups)) {
+            throw new Error('The archive is not a backup export');
+        }
+
+        const report = { added: 0, skipped: 0, failed: [], removed: 0 };
+        const filenames = new Set();
+        for (const item of manifest.backups) {
+            if (typeof item.filename !== 'string' || item.filename === '') {
+                report.failed.push(`${item.path} has no filename in the manifest`);
+                continue;
+            }
+            const file = files[item.path];
+            if (!file) {
+                report.failed.push(`${item.path} is missing from the archive`);
+                continue;
+            }
+
+            let parsed;
+            try {
+                parsed = await FileParser.parse(file);
+            } catch (e) {
+                report.failed.push(`${item.path}: ${e.message}`);
+                continue;
+            }
+
+            const versions = await this.list(item.filename);
+            const hash = this.hash(parsed.binaryData, parsed.header);
+            if (versions.some(version => version.hash === hash)) {
+                report.skipped++;
+                continue;
+            }
+
+            const original = item.original === true && !versions.some(version => version.original);
+            const timestamp = Number.isFinite(item.timestamp) ? item.timestamp : Date.now();
+            const backup = this.createBackup(item.filename, parsed.binaryData, parsed.header,
+                timestamp, original, hash, file);
+            if (await this.add(backup)) {
+                report.added++;
+                filenames.add(item.filename);
+            } else {
+                report.failed.push(`${item.path} could not be stored`);
+            }
+        }
+
+        for (const filename of filenames) {
+            report.removed += await this.prune(filename);
+        }
+        return report;
+    },
+
+    /**
+     * Get how much browser storage is used
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if unknown
+     */
+    async getStorageEstimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (e) {
+            return null;
+        }
     },
 
     /**
      * Get backup info for display
-     * @param {string} filename - Filename to check
-     * @returns {Promise<Object|null>} Backup info { filename, timestamp, size }
+     * @param {string} id - Backup id
+     * @returns {Promise<Object|null>} Backup info { id, filename, hash, timestamp, size, original, hasHeader, cityName }
      */
-    async getBackupInfo(filename) {
-        const backup = await this.retrieve(filename);
+    async getBackupInfo(id) {
+        const backup = await this.retrieve(id);
         if (!backup) return null;
 
+        return this.toInfo(backup);
+    },
+
+    /**
+     * Strip the data from a backup
+     * @param {Object} backup - Backup
+     * @returns {Object} Backup info
+     */
+    toInfo(backup) {
         return {
+            id: backup.id,
             filename: backup.filename,
+            hash: backup.hash,
             timestamp: backup.timestamp,
             size: backup.data ? backup.data.length : 0,
-            hasHeader: !!backup.header
+            original: backup.original,
+            hasHeader: !!backup.header,
+            cityName: backup.header && backup.header.name !== undefined ? backup.header.name : null
         };
     },
 
     /**
-     * Clear backup for a file
-     * @param {string} filename - Filename to clear
-     * @returns {Promise<boolean>} Success status
+     * Read all backups, or those of one filename
+     * @param {string} [filename] - Filename
+     * @returns {Promise<Object[]>} Backups (with data)
      */
-    async clear(filename) {
-        // Clear memory backup
-        if (this.memoryBackup && this.memoryBackup.filename === filename) {
-            this.memoryBackup = null;
+    async getAll(filename) {
+        await this.init();
+        if (!this.db) {
+            return this.memoryBackups.filter(backup => filename === undefined || backup.filename === filename);
         }
 
-        // Clear from IndexedDB
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.storeName, 'readonly');
+                const store = tx.objectStore(this.storeName);
+                const request = filename === undefined
+                    ? store.getAll()
+                    : store.index('filename').getAll(filename);
+
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => resolve([]);
+            } catch (e) {
+                resolve([]);
+            }
+        });
+    },
+
+    /**
+     * Write a new backup record
+     * An existing backup with the same id is never replaced.
+     * @param {Object} backup - Backup
+     * @returns {Promise<boolean>} Success status (false if the id is taken)
+     */
+    async add(backup) {
         await this.init();
-        if (!this.db) return true;
+        if (!this.db) {
+            if (this.memoryBackups.some(stored => stored.id === backup.id)) return false;
+            this.memoryBackups.push(backup);
+            return true;
+        }
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.storeName, 'readwrite');
+                const store = tx.objectStore(this.storeName);
+                const request = store.add(backup);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => {
+                    console.warn('Failed to store backup in IndexedDB');
+                    resolve(false);
+                };
+            } catch (e) {
+                console.warn('IndexedDB store error:', e);
+                resolve(false);
+            }
+        });
+    },
+
+    /**
+     * Delete one backup
+     * @param {string} id - Backup id
+     * @returns {Promise<boolean>} Success status
+     */
+    async clear(id) {
+        await this.init();
+        if (!this.db) {
+            this.memoryBackups = this.memoryBackups.filter(backup => backup.id !== id);
+            return true;
+        }
 
         return new Promise((resolve) => {
             try {
                 const tx = this.db.transaction(this.storeName, 'readwrite');
                 const store = tx.objectStore(this.storeName);
-                const request = store.delete(filename);
+                const request = store.delete(id);
 
                 request.onsuccess = () => resolve(true);
                 request.onerror = () => resolve(false);
@@ -195,7 +551,7 @@ const BackupManager = {
      * @returns {Promise<boolean>} Success status
      */
     async clearAll() {
-        this.memoryBackup = null;
+        this.memoryBackups = [];
 
         await this.init();
         if (!this.db) return true;
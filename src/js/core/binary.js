@@ -45,6 +45,35 @@ const BinaryUtils = {
         return true;
     },
 
+    /**
+     * Read 1-byte signed integer (with bounds check)
+     */
+    readInt8(data, offset) {
+        if (!data || offset < 0 || offset + 1 > data.length) return 0;
+        return (data[offset] << 24) >> 24;
+    },
+
+    /**
+     * Read 8-byte big-endian IEEE 754 double (with bounds check)
+     */
+    readFloat64BE(data, offset) {
+        if (!data || offset < 0 || offset + 8 > data.length) return 0;
+        const view = new DataView(data.buffer, data.byteOffset + offset, 8);
+        return view.getFloat64(0, false);
+    },
+
+    /**
+     * Read a length-prefixed UTF-8 string ([int16 length][bytes])
+     * @param {Uint8Array} data - Binary data
+     * @param {number} offset - Offset of the length prefix
+     * @returns {string} Decoded string ('' if out of bounds)
+     */
+    readString(data, offset) {
+        const len = this.readInt16BE(data, offset);
+        if (offset + 2 + len > data.length) return '';
+        return new TextDecoder('utf-8').decode(data.subarray(offset + 2, offset + 2 + len));
+    },
+
     /**
      * Find a byte pattern in data and return offset
      * @param {Uint8Array} data - Binary data to search
@@ -66,6 +95,11 @@ const BinaryUtils = {
      * Type byte constants for TheoTown binary format
      */
     TYPE: {
+        ARRAY_BEGIN: 0x01, // Followed by elements until ARRAY_END
+        ARRAY_END: 0x02,
+        OBJECT_BEGIN: 0x03, // Followed by MEMBER entries until OBJECT_END
+        OBJECT_END: 0x04,
+        NULL: 0x05,        // No value byte
         DOUBLE: 0x07,      // 8 bytes
         INT32: 0x08,       // 4 bytes
         INT16: 0x0e,       // 2 bytes
@@ -73,6 +107,7 @@ const BinaryUtils = {
         DOUBLE64: 0x10,    // 8 bytes (alternative Double type)
         BOOL_TRUE: 0x11,   // No value byte
         BOOL_FALSE: 0x12,  // No value byte
+        MEMBER: 0x13,      // Object member marker: [0x13][int16 name length][name][type][value]
         STRING: 0x16       // Variable length
     }
 };
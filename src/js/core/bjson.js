@@ -0,0 +1,479 @@
+/**
+ * TheoTown Save Editor - Binary JSON Decoder
+ * Walks the decompressed city payload and builds an addressable node tree
+ *
+ * Layout (all multi-byte values big-endian):
+ *   value  = [type][payload]
+ *   object = [0x03] member* [0x04]
+ *   member = [0x13][int16 name length][name][value]
+ *   array  = [0x01] value* [0x02]
+ *
+ * Every node records the byte span it occupies so that edits can target
+ * exact offsets instead of pattern matching. setValue() keeps those spans
+ * valid when a value changes type or size, so the tree never needs to be
+ * decoded again after an edit.
+ *
+ * parse() reads a contiguous Uint8Array; readValue() and setValue() work on
+ * the PieceBuffer that holds the payload while it is edited.
+ */
+
+const BinaryJson = {
+    // Fixed payload sizes for primitive types (strings are length-prefixed)
+    VALUE_SIZES: {
+        0x05: 0,  // Null
+        0x07: 8,  // Double
+        0x08: 4,  // Int32
+        0x0e: 2,  // Int16
+        0x0f: 1,  // Int8
+        0x10: 8,  // Double64
+        0x11: 0,  // Bool(true)
+        0x12: 0   // Bool(false)
+    },
+
+    /**
+     * Parse a decompressed payload into a node tree
+     * @param {Uint8Array} data - Decompressed binary data
+     * @param {Object} [options] - { partial: true } returns the nodes decoded
+     *   before an error instead of throwing, with { error, open } added
+     * @returns {Object} Tree { root, nodeCount, size, trailingBytes }
+     * @throws {Error} If the payload is not valid Binary JSON
+     */
+    parse(data, options = {}) {
+        const TYPE = BinaryUtils.TYPE;
+        const stack = [];
+        let root = null;
+        let nodeCount = 0;
+        let pos = 0;
+
+        try {
+            while (true) {
+                const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+                let node;
+
+                if (parent) {
+                    if (pos >= data.length) {
+                        throw this.error(pos, `Unexpected end of data inside ${parent.path}`);
+                    }
+
+                    // Close the current container
+                    const endByte = parent.kind === 'object' ? TYPE.OBJECT_END : TYPE.ARRAY_END;
+                    if (data[pos] === endByte) {
+                        parent.end = pos + 1;
+                        stack.pop();
+                        pos++;
+                        if (stack.length === 0) break;
+                        continue;
+                    }
+
+                    if (parent.kind === 'object') {
+                        if (data[pos] !== TYPE.MEMBER) {
+                            throw this.error(pos, `Expected a name in ${parent.path} but was 0x${this.hex(data[pos])}`);
+                        }
+                        const nameLen = BinaryUtils.readInt16BE(data, pos + 1);
+                        if (pos + 3 + nameLen > data.length) {
+                            throw this.error(pos, `Member name runs past end of data in ${parent.path}`);
+                        }
+                        const name = new TextDecoder('utf-8').decode(data.subarray(pos + 3, pos + 3 + nameLen));
+                        node = this.createNode(parent, name, pos);
+                        node.nameOffset = pos + 1;
+                        pos += 3 + nameLen;
+                    } else {
+                        node = this.createNode(parent, parent.children.length, pos);
+                    }
+                } else {
+                    node = this.createNode(null, null, pos);
+                }
+
+                if (pos >= data.length) {
+                    throw this.error(pos, `Missing type byte for ${node.path}`);
+                }
+
+                node.typeOffset = pos;
+                node.type = data[pos];
+                node.valueOffset = pos + 1;
+                pos++;
+                nodeCount++;
+
+                if (parent) parent.children.push(node);
+                else root = node;
+
+                if (node.type === TYPE.OBJECT_BEGIN || node.type === TYPE.ARRAY_BEGIN) {
+                    node.kind = node.type === TYPE.OBJECT_BEGIN ? 'object' : 'array';
+                    node.children = [];
+                    stack.push(node);
+                    continue;
+                }
+
+                const size = this.readValueSize(data, node);
+                if (size === null) {
+                    throw this.error(node.typeOffset, `Unknown type byte 0x${this.hex(node.type)} at ${node.path}`);
+                }
+                if (node.valueOffset + size > data.length) {
+                    throw this.error(node.typeOffset, `Value of ${node.path} runs past end of data`);
+                }
+
+                // Bool/null types have no value bytes - the type IS the value
+                if (size === 0) node.valueOffset = node.typeOffset;
+
+                pos = node.typeOffset + 1 + size;
+                node.end = pos;
+
+                if (!parent) break;
+            }
+        } catch (e) {
+            if (!options.partial || !root) throw e;
+            
+            // Report how far decoding got; containers in `open` were never closed
+            return {
+                root: root,
+                nodeCount: nodeCount,
+                size: data.length,
+                trailingBytes: 0,
+                error: e,
+                open: stack.slice()
+            };
+        }
+
+        return {
+            root: root,
+            nodeCount: nodeCount,
+            size: data.length,
+            trailingBytes: data.length - pos
+        };
+    },
+
+    /**
+     * Create an empty node attached to a parent
+     * @param {Object|null} parent - Parent container node
+     * @param {string|number|null} key - Member name or array index
+     * @param {number} start - Offset of the first byte of the node
+     * @returns {Object} Node
+     */
+    createNode(parent, key, start) {
+        return {
+            kind: 'value',
+            key: key,
+            name: typeof key === 'string' ? key : null,
+            path: parent ? this.joinPath(parent.path, key) : 'root',
+            parent: parent,
+            children: null,
+            type: null,
+            start: start,
+            nameOffset: null,
+            typeOffset: null,
+            valueOffset: null,
+            end: null
+        };
+    },
+
+    /**
+     * Get the payload size of a primitive node
+     * @param {Uint8Array} data - Binary data
+     * @param {Object} node - Node with type and valueOffset set
+     * @returns {number|null} Size in bytes, or null for unknown types
+     */
+    readValueSize(data, node) {
+        if (node.type === BinaryUtils.TYPE.STRING) {
+            return 2 + BinaryUtils.readInt16BE(data, node.valueOffset);
+        }
+        const size = this.VALUE_SIZES[node.type];
+        return size === undefined ? null : size;
+    },
+
+    /**
+     * Decode the current value of a node
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {Object} node - Node from parse()
+     * @returns {*} Value (number, string, boolean, null), or undefined for containers
+     */
+    readValue(data, node) {
+        const TYPE = BinaryUtils.TYPE;
+        if (node.children) return undefined;
+
+        const bytes = PieceBuffer.read(data, node.valueOffset, node.end);
+        switch (node.type) {
+            case TYPE.DOUBLE:
+            case TYPE.DOUBLE64:
+                return BinaryUtils.readFloat64BE(bytes, 0);
+            case TYPE.INT32:
+                return BinaryUtils.readInt32BE(bytes, 0);
+            case TYPE.INT16:
+                return (BinaryUtils.readInt16BE(bytes, 0) << 16) >> 16;
+            case TYPE.INT8:
+                return BinaryUtils.readInt8(bytes, 0);
+            case TYPE.BOOL_TRUE:
+                return true;
+            case TYPE.BOOL_FALSE:
+                return false;
+            case TYPE.NULL:
+                return null;
+            case TYPE.STRING:
+                return BinaryUtils.readString(bytes, 0);
+            default:
+                return undefined;
+        }
+    },
+
+    /**
+     * Encode a primitive value payload (without the type byte)
+     * @param {number} type - Type byte
+     * @param {*} value - Value to encode
+     * @returns {Uint8Array|null} Payload bytes, or null for unsupported types
+     */
+    encodeValue(type, value) {
+        const TYPE = BinaryUtils.TYPE;
+        let bytes;
+        switch (type) {
+            case TYPE.DOUBLE:
+            case TYPE.DOUBLE64:
+                bytes = new Uint8Array(8);
+                new DataView(bytes.buffer).setFloat64(0, value, false);
+                return bytes;
+            case TYPE.INT32:
+                bytes = new Uint8Array(4);
+                BinaryUtils.writeInt32BE(bytes, 0, value);
+                return bytes;
+            case TYPE.INT16:
+                bytes = new Uint8Array(2);
+                BinaryUtils.writeInt16BE(bytes, 0, value);
+                return bytes;
+            case TYPE.INT8:
+                return new Uint8Array([value & 0xFF]);
+            case TYPE.BOOL_TRUE:
+            case TYPE.BOOL_FALSE:
+            case TYPE.NULL:
+                return new Uint8Array(0);
+            case TYPE.STRING: {
+                const strBytes = new TextEncoder().encode(String(value));
+                if (strBytes.length > 0xFFFF) return null;
+                bytes = new Uint8Array(2 + strBytes.length);
+                BinaryUtils.writeInt16BE(bytes, 0, strBytes.length);
+                bytes.set(strBytes, 2);
+                return bytes;
+            }
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Change a node's type and value
+     * Only the node's own bytes are replaced; when the size changes, the
+     * offsets of every later node are shifted instead of re-parsing.
+     * @param {Object} tree - Tree from parse() (offsets are updated in place)
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} node - Primitive node to change
+     * @param {number} type - New type byte
+     * @param {*} value - New value
+     * @returns {boolean} Success status (false if the value cannot be encoded)
+     */
+    setValue(tree, data, node, type, value) {
+        if (!node || node.children) return false;
+        const payload = this.encodeValue(type, value);
+        if (!payload) return false;
+
+        const bytes = new Uint8Array(1 + payload.length);
+        bytes[0] = type;
+        bytes.set(payload, 1);
+        return this.setBytes(tree, data, node, bytes);
+    },
+
+    /**
+     * Replace a primitive node's bytes (type byte and payload) as they are
+     * Used by setValue() and to restore bytes captured earlier (undo/redo).
+     * @param {Object} tree - Tree from parse() (offsets are updated in place)
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} node - Primitive node to change
+     * @param {Uint8Array} bytes - New bytes, starting with the type byte
+     * @returns {boolean} Success status
+     */
+    setBytes(tree, data, node, bytes) {
+        if (!node || node.children || bytes.length === 0) return false;
+
+        const start = node.typeOffset;
+        const oldEnd = node.end;
+        if (!PieceBuffer.splice(data, start, oldEnd, bytes)) return false;
+
+        const newEnd = start + bytes.length;
+        const delta = newEnd - oldEnd;
+        node.type = bytes[0];
+        node.valueOffset = this.VALUE_SIZES[node.type] === 0 ? start : start + 1;
+        node.end = newEnd;
+        if (delta !== 0) {
+            this.shiftAfter(node, delta);
+            tree.size = data.length;
+        }
+
+        return true;
+    },
+
+    /**
+     * Move everything after a resized node by delta bytes
+     * Ancestors grow or shrink; later siblings of the node and of each
+     * ancestor move with all of their descendants.
+     * @param {Object} node - Node whose size changed (its own offsets are already set)
+     * @param {number} delta - Size change in bytes
+     */
+    shiftAfter(node, delta) {
+        for (let child = node; child.parent; child = child.parent) {
+            const parent = child.parent;
+            parent.end += delta;
+
+            const siblings = parent.children;
+            for (let i = siblings.indexOf(child) + 1; i < siblings.length; i++) {
+                this.walk({ root: siblings[i] }, (later) => {
+                    later.start += delta;
+                    if (later.nameOffset !== null) later.nameOffset += delta;
+                    later.typeOffset += delta;
+                    later.valueOffset += delta;
+                    later.end += delta;
+                });
+            }
+        }
+    },
+
+    /**
+     * Visit every node in document order (iterative, safe for deep trees)
+     * @param {Object} tree - Tree from parse()
+     * @param {Function} fn - Callback (node, depth); return false to skip children
+     */
+    walk(tree, fn) {
+        if (!tree || !tree.root) return;
+        const stack = [[tree.root, 0]];
+        while (stack.length > 0) {
+            const [node, depth] = stack.pop();
+            if (fn(node, depth) === false || !node.children) continue;
+            for (let i = node.children.length - 1; i >= 0; i--) {
+                stack.push([node.children[i], depth + 1]);
+            }
+        }
+    },
+
+    /**
+     * Find all nodes matching a path
+     * Objects may repeat member names, so a path can match several nodes.
+     * @param {Object} tree - Tree from parse()
+     * @param {string} path - Path such as 'root.city.name' or 'root.items[2]'
+     * @returns {Object[]} Matching nodes (empty if none)
+     */
+    select(tree, path) {
+        if (!tree || !tree.root) return [];
+        const segments = this.parsePath(path);
+        if (!segments) return [];
+
+        let current = [tree.root];
+        for (const segment of segments) {
+            const next = [];
+            for (const node of current) {
+                if (!node.children) continue;
+                if (typeof segment === 'number') {
+                    if (node.kind === 'array' && node.children[segment]) {
+                        next.push(node.children[segment]);
+                    }
+                } else if (node.kind === 'object') {
+                    for (const child of node.children) {
+                        if (child.name === segment) next.push(child);
+                    }
+                }
+            }
+            current = next;
+            if (current.length === 0) break;
+        }
+        return current;
+    },
+
+    /**
+     * Get the single node at a path
+     * @param {Object} tree - Tree from parse()
+     * @param {string} path - Node path
+     * @returns {Object|null} Node, or null if missing or ambiguous
+     */
+    get(tree, path) {
+        const nodes = this.select(tree, path);
+        return nodes.length === 1 ? nodes[0] : null;
+    },
+
+    /**
+     * Find the innermost node whose span contains a byte offset
+     * @param {Object} tree - Tree from parse()
+     * @param {number} offset - Byte offset into the payload
+     * @returns {Object|null} Node or null
+     */
+    nodeAtOffset(tree, offset) {
+        if (!tree || !tree.root) return null;
+        let node = tree.root;
+        if (offset < node.start || offset >= node.end) return null;
+
+        while (node.children && node.children.length > 0) {
+            // Binary search children by span
+            let lo = 0;
+            let hi = node.children.length - 1;
+            let found = null;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                const child = node.children[mid];
+                if (offset < child.start) hi = mid - 1;
+                else if (offset >= child.end) lo = mid + 1;
+                else { found = child; break; }
+            }
+            if (!found) break;
+            node = found;
+        }
+        return node;
+    },
+
+    /**
+     * Append a member name or array index to a path
+     * @param {string} base - Parent path
+     * @param {string|number} key - Member name or array index
+     * @returns {string} Child path
+     */
+    joinPath(base, key) {
+        if (typeof key === 'number') return `${base}[${key}]`;
+        // Names that would confuse the path syntax are quoted
+        if (/^[^.[\]"]+$/.test(key)) return `${base}.${key}`;
+        return `${base}[${JSON.stringify(key)}]`;
+    },
+
+    /**
+     * Split a path into member names and array indices
+     * @param {string} path - Path starting with 'root'
+     * @returns {Array<string|number>|null} Segments after root, or null if malformed
+     */
+    parsePath(path) {
+        if (typeof path !== 'string' || !path.startsWith('root')) return null;
+
+        const segments = [];
+        const re = /\.([^.[\]"]+)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/y;
+        re.lastIndex = 4;
+        while (re.lastIndex < path.length) {
+            const match = re.exec(path);
+            if (!match) return null;
+            if (match[1] !== undefined) segments.push(match[1]);
+            else if (match[2] !== undefined) segments.push(parseInt(match[2], 10));
+            else segments.push(JSON.parse(match[3]));
+        }
+        return segments;
+    },
+
+    /**
+     * Build a parse error that carries the failing offset
+     * @param {number} offset - Byte offset
+     * @param {string} message - Error message
+     * @returns {Error} Error with an offset property
+     */
+    error(offset, message) {
+        const err = new Error(`${message} (offset ${offset})`);
+        err.offset = offset;
+        return err;
+    },
+
+    hex(byte) {
+        return byte === undefined ? '??' : byte.toString(16).padStart(2, '0');
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BinaryJson;
+}
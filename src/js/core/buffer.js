@@ -0,0 +1,309 @@
+/**
+ * TheoTown Save Editor - Piece Buffer
+ * Edit buffer for the decompressed payload
+ *
+ * A piece table: the decompressed bytes are never modified, edits append
+ * their bytes to a separate add buffer, and the content is an ordered list
+ * of pieces pointing into either one. Inserting or removing bytes only
+ * splits pieces, so no edit copies the payload; toArray() builds one
+ * contiguous array when the file is serialized.
+ *
+ * Buffer: { original, added, addedLength, pieces: [{ added, start, length }], length }
+ */
+
+const PieceBuffer = {
+    // Initial add buffer size; it doubles when full
+    INITIAL_ADD_SIZE: 256,
+
+    /**
+     * Create a buffer over decompressed data
+     * @param {Uint8Array} data - Original bytes (kept as is, never written)
+     * @returns {Object} Buffer
+     */
+    create(data) {
+        return {
+            original: data,
+            added: new Uint8Array(this.INITIAL_ADD_SIZE),
+            addedLength: 0,
+            pieces: data.length > 0 ? [{ added: false, start: 0, length: data.length }] : [],
+            length: data.length
+        };
+    },
+
+    /**
+     * Create a buffer over original bytes that already holds edited content
+     * The bytes between the common prefix and suffix become one edit, so
+     * changedRanges() marks the span that differs from the original.
+     * @param {Uint8Array} original - Original bytes
+     * @param {Uint8Array} data - Current content
+     * @returns {Object} Buffer
+     */
+    createEdited(original, data) {
+        const buffer = this.create(original);
+        const shorter = Math.min(original.length, data.length);
+
+        let prefix = 0;
+        while (prefix < shorter && original[prefix] === data[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < shorter - prefix &&
+            original[original.length - 1 - suffix] === data[data.length - 1 - suffix]) suffix++;
+
+        if (prefix !== original.length || original.length !== data.length) {
+            this.splice(buffer, prefix, original.length - suffix, data.subarray(prefix, data.length - suffix));
+        }
+        return buffer;
+    },
+
+    /**
+     * Read a range of bytes
+     * The result shares memory with the buffer when the range lies in a
+     * single piece, so it must not be modified.
+     * @param {Object|Uint8Array} buffer - Buffer, or a plain byte array
+     * @param {number} start - Start offset
+     * @param {number} end - End offset (exclusive, clamped to the length)
+     * @returns {Uint8Array} Bytes
+     */
+    read(buffer, start, end) {
+        if (buffer instanceof Uint8Array) return buffer.subarray(start, end);
+
+        end = Math.min(end, buffer.length);
+        if (start >= end) return new Uint8Array(0);
+
+        let out = null;
+        let pos = 0;
+        for (const piece of buffer.pieces) {
+            const pieceEnd = pos + piece.length;
+            if (pieceEnd > start) {
+                const from = Math.max(start, pos);
+                const to = Math.min(end, pieceEnd);
+                const bytes = this.source(buffer, piece).subarray(
+                    piece.start + from - pos,
+                    piece.start + to - pos
+                );
+                if (!out && to === end) return bytes;
+                if (!out) out = new Uint8Array(end - start);
+                out.set(bytes, from - start);
+                if (to === end) break;
+            }
+            pos = pieceEnd;
+        }
+        return out;
+    },
+
+    /**
+     * Overwrite bytes without changing the length
+     * @param {Object} buffer - Buffer
+     * @param {number} offset - Start offset
+     * @param {Uint8Array|number[]} bytes - New bytes
+     * @returns {boolean} Success status (false if the range is out of bounds)
+     */
+    write(buffer, offset, bytes) {
+        return this.splice(buffer, offset, offset + bytes.length, bytes);
+    },
+
+    /**
+     * Replace a range with other bytes
+     * @param {Object} buffer - Buffer (modified in place)
+     * @param {number} start - Start of the range to remove
+     * @param {number} end - End of the range to remove (exclusive)
+     * @param {Uint8Array|number[]} bytes - Bytes to insert at start
+     * @returns {boolean} Success status (false if the range is out of bounds)
+     */
+    splice(buffer, start, end, bytes) {
+        if (start < 0 || end < start || end > buffer.length) return false;
+
+        // Rewriting bytes that an earlier edit added needs no new piece
+        if (bytes.length === end - start && bytes.length > 0) {
+            const found = this.findPiece(buffer, start);
+            if (found && found.piece.added && end <= found.pos + found.piece.length) {
+                buffer.added.set(bytes, found.piece.start + start - found.pos);
+                return true;
+            }
+        }
+
+        const before = [];
+        const after = [];
+        const removed = [];
+        let pos = 0;
+        for (const piece of buffer.pieces) {
+            const pieceEnd = pos + piece.length;
+            if (pos < start) {
+                before.push({ added: piece.added, start: piece.start, length: Math.min(pieceEnd, start) - pos });
+            }
+            if (pieceEnd > end) {
+                const skip = Math.max(0, end - pos);
+                after.push({ added: piece.added, start: piece.start + skip, length: piece.length - skip });
+            }
+            const cutStart = Math.max(pos, start);
+            const cutEnd = Math.min(pieceEnd, end);
+            if (piece.added && cutEnd > cutStart) {
+                removed.push({ start: piece.start + cutStart - pos, length: cutEnd - cutStart });
+            }
+            pos = pieceEnd;
+        }
+
+        // Added bytes are referenced by one piece only, so a removed run at
+        // the end of the add buffer can be reused (repeated edits of one value)
+        removed.sort((a, b) => b.start - a.start);
+        for (const run of removed) {
+            if (run.start + run.length === buffer.addedLength) buffer.addedLength = run.start;
+        }
+
+        if (bytes.length > 0) {
+            const piece = { added: true, start: this.append(buffer, bytes), length: bytes.length };
+            const previous = before[before.length - 1];
+            if (previous && previous.added && previous.start + previous.length === piece.start) {
+                previous.length += piece.length;
+            } else {
+                before.push(piece);
+            }
+        }
+
+        buffer.pieces = before.concat(after);
+        buffer.length += bytes.length - (end - start);
+        return true;
+    },
+
+    /**
+     * Copy the content into one contiguous array
+     * @param {Object} buffer - Buffer
+     * @returns {Uint8Array} New array
+     */
+    toArray(buffer) {
+        const out = new Uint8Array(buffer.length);
+        let pos = 0;
+        for (const chunk of this.chunks(buffer)) {
+            out.set(chunk, pos);
+            pos += chunk.length;
+        }
+        return out;
+    },
+
+    /**
+     * List the content as byte arrays in order, without copying
+     * @param {Object} buffer - Buffer
+     * @returns {Uint8Array[]} One array per piece
+     */
+    chunks(buffer) {
+        return buffer.pieces.map(piece =>
+            this.source(buffer, piece).subarray(piece.start, piece.start + piece.length));
+    },
+
+    /**
+     * Check whether the content equals the original bytes
+     * @param {Object} buffer - Buffer
+     * @returns {boolean} True if every edit has been reverted (or none was made)
+     */
+    isOriginal(buffer) {
+        const original = buffer.original;
+        if (buffer.length !== original.length) return false;
+        if (buffer.pieces.every(piece => !piece.added)) {
+            // Equal length from original pieces alone means nothing was removed
+            return true;
+        }
+
+        let pos = 0;
+        for (const chunk of this.chunks(buffer)) {
+            for (let i = 0; i < chunk.length; i++) {
+                if (chunk[i] !== original[pos + i]) return false;
+            }
+            pos += chunk.length;
+        }
+        return true;
+    },
+
+    /**
+     * Find the byte ranges that changed since the buffer was created
+     * Added bytes are changed unless the length is unchanged and they equal
+     * the original bytes at the same offset; a removal marks the byte after it.
+     * @param {Object} buffer - Buffer
+     * @returns {Array<{start: number, end: number}>} Sorted ranges (end exclusive)
+     */
+    changedRanges(buffer) {
+        const original = buffer.original;
+        const sameLength = buffer.length === original.length;
+        const ranges = [];
+        const mark = (start, end) => {
+            const last = ranges[ranges.length - 1];
+            if (last && last.end >= start) {
+                last.end = Math.max(last.end, end);
+            } else {
+                ranges.push({ start, end });
+            }
+        };
+
+        let pos = 0;
+        let next = 0;
+        let afterAdded = false;
+        for (const piece of buffer.pieces) {
+            if (piece.added) {
+                if (sameLength) {
+                    for (let i = 0; i < piece.length; i++) {
+                        if (buffer.added[piece.start + i] !== original[pos + i]) mark(pos + i, pos + i + 1);
+                    }
+                } else {
+                    mark(pos, pos + piece.length);
+                }
+            } else {
+                if (piece.start !== next && !afterAdded) mark(pos, pos + 1);
+                next = piece.start + piece.length;
+            }
+            afterAdded = piece.added;
+            pos += piece.length;
+        }
+        if (next !== original.length && !afterAdded && buffer.length > 0) {
+            mark(buffer.length - 1, buffer.length);
+        }
+        return ranges;
+    },
+
+    /**
+     * Find the piece containing an offset
+     * @param {Object} buffer - Buffer
+     * @param {number} offset - Byte offset
+     * @returns {Object|null} { piece, pos } - pos is the piece's start offset
+     */
+    findPiece(buffer, offset) {
+        let pos = 0;
+        for (const piece of buffer.pieces) {
+            if (offset < pos + piece.length) return { piece, pos };
+            pos += piece.length;
+        }
+        return null;
+    },
+
+    /**
+     * Get the array a piece points into
+     * @param {Object} buffer - Buffer
+     * @param {Object} piece - Piece
+     * @returns {Uint8Array} Original or add buffer
+     */
+    source(buffer, piece) {
+        return piece.added ? buffer.added : buffer.original;
+    },
+
+    /**
+     * Append bytes to the add buffer, growing it when full
+     * @param {Object} buffer - Buffer
+     * @param {Uint8Array|number[]} bytes - Bytes to append
+     * @returns {number} Offset of the bytes in the add buffer
+     */
+    append(buffer, bytes) {
+        const offset = buffer.addedLength;
+        if (offset + bytes.length > buffer.added.length) {
+            let size = buffer.added.length;
+            while (size < offset + bytes.length) size *= 2;
+            const grown = new Uint8Array(size);
+            grown.set(buffer.added.subarray(0, offset));
+            buffer.added = grown;
+        }
+        buffer.added.set(bytes, offset);
+        buffer.addedLength += bytes.length;
+        return offset;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PieceBuffer;
+}
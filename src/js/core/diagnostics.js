@@ -0,0 +1,427 @@
+/**
+ * TheoTown Save Editor - Save Diagnostics
+ * Explains why a .city file cannot be read, step by step
+ */
+
+const SaveDiagnostics = {
+    // Labels for detected payload formats
+    FORMATS: {
+        gzip: 'gzip',
+        zlib: 'zlib',
+        deflate: 'raw deflate',
+        binary: 'uncompressed Binary JSON',
+        unknown: 'unknown'
+    },
+
+    // CRC-32 lookup table, built on first use
+    crcTable: null,
+
+    /**
+     * Diagnose a .city file
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw file data
+     * @param {string} [fileName] - Name shown in the report
+     * @returns {Object} Report { fileName, fileSize, format, ok, recoverable, checks: [{ step, status, message, detail }] }
+     *   recoverable is true when the header is intact and SaveRecovery can salvage the payload
+     */
+    diagnose(buffer, fileName = '') {
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const report = {
+            fileName: fileName,
+            fileSize: data.length,
+            format: null,
+            ok: true,
+            recoverable: false,
+            checks: []
+        };
+        const add = (step, status, message, detail = null) => {
+            report.checks.push({ step, status, message, detail });
+            if (status === 'error') report.ok = false;
+        };
+
+        // Header length
+        if (data.length < 2) {
+            add('Header length', 'error', `File is ${data.length} bytes; not even the header length fits`);
+            return report;
+        }
+        const headerLen = (data[0] << 8) | data[1];
+        if (2 + headerLen > data.length) {
+            add('Header length', 'error',
+                `Header length ${headerLen} exceeds file size ${data.length} (only ${data.length - 2} bytes follow)`,
+                this.guessHeaderLength(data));
+            return report;
+        }
+        add('Header length', 'ok', `${headerLen} bytes of ${data.length}`);
+
+        // Header JSON
+        const headerBytes = data.subarray(2, 2 + headerLen);
+        let headerText;
+        try {
+            headerText = new TextDecoder('utf-8', { fatal: true }).decode(headerBytes);
+        } catch (e) {
+            add('Header JSON', 'error', 'Header is not valid UTF-8 text', this.guessHeaderLength(data));
+            headerText = null;
+        }
+        if (headerText !== null) {
+            const problem = this.checkJson(headerText);
+            if (problem) {
+                add('Header JSON', 'error', problem.message, problem.detail);
+            } else {
+                add('Header JSON', 'ok', 'Header parses');
+            }
+        }
+        const headerReadable = report.ok;
+
+        // Payload
+        const payload = data.subarray(2 + headerLen);
+        if (payload.length === 0) {
+            add('Payload', 'error', 'No data after the header');
+            return report;
+        }
+
+        const format = this.detectFormat(payload);
+        report.format = format;
+        let binary = null;
+        switch (format) {
+            case 'gzip':
+                add('Payload format', 'ok', `gzip (${payload.length} bytes)`);
+                binary = this.checkGzip(payload, add);
+                break;
+            case 'zlib':
+            case 'deflate': {
+                add('Payload format', 'error',
+                    `Payload is ${this.FORMATS[format]}, but TheoTown expects gzip`,
+                    'The file was probably re-compressed by another tool');
+                const result = this.inflate(payload, format === 'deflate');
+                if (result.error || !result.ended) {
+                    add('Decompression', 'error', result.error || 'Compressed stream is truncated');
+                } else {
+                    add('Decompression', 'ok', `${result.data.length} bytes`);
+                    binary = result.data;
+                }
+                break;
+            }
+            case 'binary':
+                add('Payload format', 'error',
+                    'Payload is uncompressed Binary JSON, but TheoTown expects gzip');
+                binary = payload;
+                break;
+            default:
+                add('Payload format', 'error', 'Payload is not gzip, zlib, deflate or Binary JSON',
+                    'First bytes: ' + Array.from(payload.subarray(0, 8), b => BinaryJson.hex(b)).join(' '));
+        }
+
+        if (binary) {
+            this.checkStructure(binary, add);
+        }
+
+        report.recoverable = !report.ok && headerReadable && format !== 'unknown';
+        return report;
+    },
+
+    /**
+     * Identify the compression of a payload
+     * @param {Uint8Array} payload - Bytes after the header
+     * @returns {string} Key of FORMATS
+     */
+    detectFormat(payload) {
+        if (payload.length >= 2 && payload[0] === 0x1f && payload[1] === 0x8b) {
+            return 'gzip';
+        }
+        if (payload.length >= 2 && (payload[0] & 0x0f) === 8 &&
+            (payload[0] >> 4) <= 7 && ((payload[0] << 8) | payload[1]) % 31 === 0) {
+            return 'zlib';
+        }
+        if (payload[0] === BinaryUtils.TYPE.OBJECT_BEGIN) {
+            // A cut-off document still counts if at least one member decodes
+            const tree = BinaryJson.parse(payload, { partial: true });
+            const first = tree.root.children[0];
+            if (!tree.error || (first && (first.end !== null || first.children))) {
+                return 'binary';
+            }
+        }
+        const raw = this.inflate(payload, true);
+        if (!raw.error && raw.data.length > 0) {
+            return 'deflate';
+        }
+        return 'unknown';
+    },
+
+    /**
+     * Check a gzip member: header, deflate data, CRC and size trailer
+     * @param {Uint8Array} payload - Gzip stream
+     * @param {Function} add - Adds a check to the report
+     * @returns {Uint8Array|null} Decompressed data, or null if it is unusable
+     */
+    checkGzip(payload, add) {
+        const gzipHeader = FileParser.parseGzipHeader(payload);
+        if (payload[2] !== 8) {
+            add('Gzip header', 'error', `Unknown compression method ${payload[2]} (expected 8, deflate)`);
+            return null;
+        }
+        if (gzipHeader.length > payload.length) {
+            add('Gzip header', 'error', 'Gzip header is truncated');
+            return null;
+        }
+
+        const body = payload.subarray(gzipHeader.length);
+        const result = this.inflate(body, true);
+        if (result.error) {
+            add('Decompression', 'error', `Corrupt deflate data: ${result.error}`,
+                `${result.data.length} bytes could be inflated before the error`);
+            return null;
+        }
+        if (!result.ended) {
+            add('Decompression', 'error',
+                `Gzip stream is truncated: the deflate data ends early after ${body.length} bytes`,
+                `${result.data.length} bytes could be inflated`);
+            return null;
+        }
+        add('Decompression', 'ok', `${body.length - result.remaining} → ${result.data.length} bytes`);
+
+        const trailerStart = gzipHeader.length + body.length - result.remaining;
+        const trailer = payload.subarray(trailerStart, trailerStart + 8);
+        if (trailer.length < 8) {
+            add('Checksum', 'error', `Gzip trailer is truncated (${trailer.length} of 8 bytes)`,
+                'The data decompressed completely, but its CRC cannot be checked');
+            return result.data;
+        }
+
+        const view = new DataView(trailer.buffer, trailer.byteOffset, 8);
+        const storedCrc = view.getUint32(0, true);
+        const storedSize = view.getUint32(4, true);
+        const actualCrc = this.crc32(result.data);
+        if (storedCrc !== actualCrc) {
+            add('Checksum', 'error',
+                `CRC mismatch: stored ${this.hex32(storedCrc)}, data has ${this.hex32(actualCrc)}`,
+                'The compressed data was altered after it was written');
+        } else if (storedSize !== (result.data.length >>> 0)) {
+            add('Checksum', 'error',
+                `Size mismatch: trailer says ${storedSize} bytes, data has ${result.data.length}`);
+        } else {
+            add('Checksum', 'ok', `CRC ${this.hex32(actualCrc)}`);
+        }
+
+        const extra = payload.length - trailerStart - 8;
+        if (extra > 0) {
+            const nextMember = payload[trailerStart + 8] === 0x1f && payload[trailerStart + 9] === 0x8b;
+            add('Trailing data', 'warning',
+                nextMember
+                    ? `Another gzip member follows (${extra} bytes); only the first is read`
+                    : `${extra} unexpected bytes after the gzip stream`);
+        }
+
+        return result.data;
+    },
+
+    /**
+     * Check that decompressed data decodes as Binary JSON
+     * @param {Uint8Array} binary - Decompressed data
+     * @param {Function} add - Adds a check to the report
+     */
+    checkStructure(binary, add) {
+        try {
+            const tree = BinaryJson.parse(binary);
+            add('Binary structure', 'ok', `${tree.nodeCount} nodes`);
+            if (tree.trailingBytes > 0) {
+                add('Binary structure', 'warning', `${tree.trailingBytes} bytes after the root object`);
+            }
+        } catch (e) {
+            add('Binary structure', 'error', e.message,
+                e.offset !== undefined ? `At offset ${e.offset} of ${binary.length}` : null);
+        }
+    },
+
+    /**
+     * Parse JSON text and describe the error position
+     * @param {string} text - JSON text
+     * @returns {Object|null} { message, detail } or null if valid
+     */
+    checkJson(text) {
+        try {
+            JSON.parse(text);
+            return null;
+        } catch (e) {
+            // Not every engine reports a position, so locate it ourselves
+            const position = this.findJsonError(text);
+            const before = text.slice(0, position);
+            const line = before.split('\n').length;
+            const column = position - before.lastIndexOf('\n');
+            const start = Math.max(0, position - 20);
+            const context = text.slice(start, position + 20).replace(/\s/g, ' ');
+            return {
+                message: `Invalid JSON at position ${position} (line ${line}, column ${column}): ${e.message}`,
+                detail: context + '\n' + ' '.repeat(position - start) + '^'
+            };
+        }
+    },
+
+    /**
+     * Find the position of the first JSON syntax error
+     * @param {string} text - Invalid JSON text
+     * @returns {number} Character position (text.length if the text ends early)
+     */
+    findJsonError(text) {
+        let pos = 0;
+        const fail = () => { throw pos; };
+        const space = () => {
+            while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++;
+        };
+        const expect = (ch) => {
+            if (text[pos] !== ch) fail();
+            pos++;
+        };
+        const string = () => {
+            expect('"');
+            while (pos < text.length && text[pos] !== '"') {
+                const code = text.charCodeAt(pos);
+                if (code < 0x20) fail();
+                if (text[pos] === '\\') {
+                    pos++;
+                    if (text[pos] === 'u') {
+                        if (!/^[0-9a-fA-F]{4}$/.test(text.substr(pos + 1, 4))) fail();
+                        pos += 4;
+                    } else if (!'"\\/bfnrt'.includes(text[pos]) || pos >= text.length) {
+                        fail();
+                    }
+                }
+                pos++;
+            }
+            expect('"');
+        };
+        const value = () => {
+            space();
+            const ch = text[pos];
+            if (ch === '{') {
+                pos++;
+                space();
+                if (text[pos] === '}') { pos++; return; }
+                for (;;) {
+                    space();
+                    string();
+                    space();
+                    expect(':');
+                    value();
+                    space();
+                    if (text[pos] === ',') { pos++; continue; }
+                    expect('}');
+                    return;
+                }
+            } else if (ch === '[') {
+                pos++;
+                space();
+                if (text[pos] === ']') { pos++; return; }
+                for (;;) {
+                    value();
+                    space();
+                    if (text[pos] === ',') { pos++; continue; }
+                    expect(']');
+                    return;
+                }
+            } else if (ch === '"') {
+                string();
+            } else {
+                const match = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 64));
+                if (!match) fail();
+                pos += match[0].length;
+            }
+        };
+
+        try {
+            value();
+            space();
+            if (pos < text.length) fail();
+        } catch (position) {
+            return Math.min(position, text.length);
+        }
+        return text.length;
+    },
+
+    /**
+     * Suggest the real header length when the stored one is wrong,
+     * by looking for the end of the JSON text just before a gzip signature
+     * @param {Uint8Array} data - Raw file data
+     * @returns {string|null} Hint
+     */
+    guessHeaderLength(data) {
+        for (let i = 3; i < data.length - 2; i++) {
+            if (data[i] === 0x1f && data[i + 1] === 0x8b && data[i + 2] === 0x08 &&
+                data[i - 1] === 0x7d) {
+                return `A gzip stream starts at offset ${i}; the header is probably ${i - 2} bytes`;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Inflate as much of a deflate or zlib stream as possible
+     * @param {Uint8Array} input - Compressed data
+     * @param {boolean} raw - True for raw deflate, false for zlib
+     * @returns {Object} { data, ended, error, remaining } - remaining is the number
+     *   of input bytes left after the end of the stream
+     */
+    inflate(input, raw) {
+        const inflator = new pako.Inflate({ raw: raw });
+        const chunks = [];
+        inflator.onData = (chunk) => chunks.push(chunk);
+        inflator.push(input, true);
+
+        const strm = inflator.strm;
+        const complete = inflator.ended && inflator.err === 0;
+        // Output still sitting in the inflate window was never handed to onData
+        if (!complete && strm.output && strm.avail_out > 0 && strm.next_out > 0) {
+            chunks.push(strm.output.subarray(0, strm.next_out));
+        }
+
+        const data = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return {
+            data: data,
+            ended: complete,
+            error: inflator.err ? (inflator.msg || `zlib error ${inflator.err}`) : null,
+            remaining: strm.avail_in
+        };
+    },
+
+    /**
+     * Compute the CRC-32 used by gzip
+     * @param {Uint8Array} data - Data to checksum
+     * @returns {number} Unsigned CRC
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Format a 32-bit value as hex
+     * @param {number} value - Unsigned value
+     * @returns {string} e.g. 0x1A2B3C4D
+     */
+    hex32(value) {
+        return '0x' + value.toString(16).toUpperCase().padStart(8, '0');
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveDiagnostics;
+}
@@ -1,6 +1,10 @@
 /**
  * TheoTown Save Editor - History Manager
  * Handles undo/redo functionality with memory-efficient delta tracking
+ *
+ * Each action carries binary patches (the bytes of one node before and after
+ * the edit) and the header keys it changed, so undoing or redoing restores
+ * exact bytes rather than replaying the edit (see CityManager.applyHistory).
  */
 
 const HistoryManager = {
@@ -10,7 +14,8 @@ const HistoryManager = {
     // State
     undoStack: [],
     redoStack: [],
-    isApplyingHistory: false,
+    // Actions trimmed from the start of the undo stack because of maxHistory
+    droppedCount: 0,
 
     /**
      * Clear all history
@@ -18,6 +23,7 @@ const HistoryManager = {
     clear() {
         this.undoStack = [];
         this.redoStack = [];
+        this.droppedCount = 0;
     },
 
     /**
@@ -28,13 +34,16 @@ const HistoryManager = {
      * @param {*} action.oldValue - Value before the change
      * @param {*} action.newValue - Value after the change
      * @param {string} action.description - Human-readable description
+     * @param {Array<Object>} action.patches - Binary patches in the order they were
+     *   made: { node, offset, removed, inserted } (removed/inserted are the node's bytes)
+     * @param {Array<Object>} action.header - Header changes { key, oldValue, newValue }
+     *   (undefined values mean the key did not exist)
+     * @param {Array<Object>} [action.steps] - For transactions: the grouped edits
+     *   as { type, field, oldValue, newValue }
      */
     record(action) {
-        // Don't record changes while undoing/redoing
-        if (this.isApplyingHistory) return;
-
-        // Don't record if old and new values are the same
-        if (action.oldValue === action.newValue) return;
+        // Don't record edits that changed nothing
+        if (action.patches.length === 0 && action.header.length === 0) return;
 
         // Add to undo stack
         this.undoStack.push({
@@ -48,6 +57,7 @@ const HistoryManager = {
         // Trim history if too long
         if (this.undoStack.length > this.maxHistory) {
             this.undoStack.shift();
+            this.droppedCount++;
         }
     },
 
@@ -107,20 +117,6 @@ const HistoryManager = {
         return action;
     },
 
-    /**
-     * Start applying history (prevents recording)
-     */
-    startApplying() {
-        this.isApplyingHistory = true;
-    },
-
-    /**
-     * Stop applying history
-     */
-    stopApplying() {
-        this.isApplyingHistory = false;
-    },
-
     /**
      * Get undo stack length
      * @returns {number}
@@ -157,6 +153,47 @@ const HistoryManager = {
         return items;
     },
 
+    /**
+     * Get every action in the order it was made, including undone ones
+     * @returns {Object} { entries, position, dropped, limit } - entries are
+     *   { description, timestamp, undone }; entry i leads to state i + 1,
+     *   position is the number of applied actions and dropped the number of
+     *   older actions removed because of limit (maxHistory)
+     */
+    getTimeline() {
+        const applied = this.undoStack;
+        const undone = [...this.redoStack].reverse();
+        const entries = applied.concat(undone).map((action, i) => ({
+            description: action.description || `${action.field}: ${action.oldValue} → ${action.newValue}`,
+            timestamp: action.timestamp,
+            undone: i >= applied.length
+        }));
+        
+        return { entries, position: applied.length, dropped: this.droppedCount, limit: this.maxHistory };
+    },
+
+    /**
+     * Get the stacks for storing a session
+     * @returns {Object} { undoStack, redoStack, droppedCount } - the arrays are copies
+     */
+    getState() {
+        return {
+            undoStack: [...this.undoStack],
+            redoStack: [...this.redoStack],
+            droppedCount: this.droppedCount
+        };
+    },
+
+    /**
+     * Replace the stacks with stored ones
+     * @param {Object} state - State from getState
+     */
+    setState(state) {
+        this.undoStack = [...state.undoStack];
+        this.redoStack = [...state.redoStack];
+        this.droppedCount = state.droppedCount || 0;
+    },
+
     /**
      * Create action description helper
      * @param {string} field - Field name
@@ -4,61 +4,208 @@
  */
 
 const FileParser = {
+    // Bytes fed to pako per step; progress is reported after each chunk
+    CHUNK_SIZE: 256 * 1024,
+
     /**
      * Parse a .city file
+     * The original header text, compressed stream and gzip header are kept
+     * so that serialize() can reproduce an unchanged file byte for byte.
      * @param {ArrayBuffer} buffer - Raw file data
+     * @param {Function} [onProgress] - Called with the decompressed fraction (0-1)
      * @returns {Object} Parsed city data with header and binary
      */
-    async parse(buffer) {
+    async parse(buffer, onProgress) {
         const data = new Uint8Array(buffer);
+        if (data.length < 2) {
+            throw new Error(`File is too small (${data.length} bytes)`);
+        }
         
         // Parse header length (big-endian 2 bytes)
         const headerLen = (data[0] << 8) | data[1];
+        if (2 + headerLen > data.length) {
+            throw new Error(`Header length ${headerLen} exceeds file size ${data.length}`);
+        }
         
         // Parse JSON header
         const headerBytes = data.slice(2, 2 + headerLen);
         const headerText = new TextDecoder('utf-8').decode(headerBytes);
-        const header = JSON.parse(headerText);
-        
-        // Decompress binary data using pako
-        const compressedData = data.slice(2 + headerLen);
-        let binaryData;
+        let header;
         try {
-            binaryData = pako.ungzip(compressedData);
+            header = JSON.parse(headerText);
         } catch (e) {
-            throw new Error('Error decompressing file: ' + e.message);
+            throw new Error('Header is not valid JSON: ' + e.message);
         }
         
-        // Convert to mutable Uint8Array
-        binaryData = new Uint8Array(binaryData);
+        // Decompress binary data using pako
+        const compressedData = data.slice(2 + headerLen);
+        const binaryData = this.decompress(compressedData, onProgress);
         
         return {
             header: header,
             binaryData: binaryData,
             originalHeader: JSON.parse(JSON.stringify(header)),
-            originalBinary: new Uint8Array(binaryData)
+            originalHeaderBytes: headerBytes,
+            originalCompressed: compressedData,
+            gzipHeader: this.parseGzipHeader(compressedData)
+        };
+    },
+
+    /**
+     * Read the fields of a gzip member header (RFC 1952)
+     * @param {Uint8Array} data - Gzip stream
+     * @returns {Object|null} { flags, time, xfl, os, extra, name, comment, hcrc, length } or null if not gzip
+     */
+    parseGzipHeader(data) {
+        if (data.length < 10 || data[0] !== 0x1f || data[1] !== 0x8b) return null;
+        
+        const flags = data[3];
+        const result = {
+            flags: flags,
+            time: (data[4] | (data[5] << 8) | (data[6] << 16) | (data[7] << 24)) >>> 0,
+            xfl: data[8],
+            os: data[9],
+            extra: null,
+            name: null,
+            comment: null,
+            hcrc: (flags & 0x02) !== 0,
+            length: 0
         };
+        
+        let offset = 10;
+        const readZeroTerminated = () => {
+            let str = '';
+            while (offset < data.length && data[offset] !== 0) {
+                str += String.fromCharCode(data[offset++]);
+            }
+            offset++;
+            return str;
+        };
+        
+        if (flags & 0x04) {
+            const len = data[offset] | (data[offset + 1] << 8);
+            result.extra = data.slice(offset + 2, offset + 2 + len);
+            offset += 2 + len;
+        }
+        if (flags & 0x08) result.name = readZeroTerminated();
+        if (flags & 0x10) result.comment = readZeroTerminated();
+        if (flags & 0x02) offset += 2;
+        
+        // Size of the gzip header; the deflate data starts here
+        result.length = offset;
+        return result;
+    },
+
+    /**
+     * Inflate a gzip stream in chunks
+     * @param {Uint8Array} compressed - Gzip stream
+     * @param {Function} [onProgress] - Called with the consumed fraction (0-1)
+     * @returns {Uint8Array} Decompressed data
+     */
+    decompress(compressed, onProgress) {
+        // Gzip only: without windowBits pako would also accept zlib streams,
+        // which SaveDiagnostics reports as a wrong payload format
+        const inflator = new pako.Inflate({ windowBits: 16 + 15 });
+        for (let offset = 0; offset < compressed.length; offset += this.CHUNK_SIZE) {
+            const end = Math.min(offset + this.CHUNK_SIZE, compressed.length);
+            inflator.push(compressed.subarray(offset, end), end === compressed.length);
+            if (inflator.err) {
+                throw new Error('Error decompressing file: ' + inflator.msg);
+            }
+            if (onProgress) onProgress(end / compressed.length);
+        }
+        
+        // pako leaves no result instead of failing when the stream is cut off
+        if (!inflator.result) {
+            throw new Error('Error decompressing file: compressed data is truncated');
+        }
+        return new Uint8Array(inflator.result);
+    },
+
+    /**
+     * Gzip data in chunks
+     * @param {Uint8Array} data - Data to compress
+     * @param {Object} [gzipOptions] - Options from getGzipOptions
+     * @param {Function} [onProgress] - Called with the consumed fraction (0-1)
+     * @returns {Uint8Array} Gzip stream
+     */
+    compress(data, gzipOptions, onProgress) {
+        const deflator = new pako.Deflate(Object.assign({}, gzipOptions, { gzip: true }));
+        let offset = 0;
+        do {
+            const end = Math.min(offset + this.CHUNK_SIZE, data.length);
+            deflator.push(data.subarray(offset, end), end === data.length);
+            offset = end;
+            if (onProgress) onProgress(data.length ? end / data.length : 1);
+        } while (offset < data.length);
+        
+        if (deflator.err) {
+            throw new Error('Error compressing file: ' + deflator.msg);
+        }
+        return deflator.result;
     },
 
     /**
      * Serialize city data back to .city file format
-     * @param {Object} cityData - City data with header and binaryData
+     * @param {Object} cityData - City data with header and binaryData (a PieceBuffer)
+     * @param {Object} [options] - Serialization options
+     * @param {boolean} [options.preserve] - Keep timestamps and counters, reuse the
+     *   original header text and gzip stream when unchanged, and the original gzip
+     *   header fields otherwise
      * @returns {Uint8Array} Serialized file data
      */
-    serialize(cityData) {
-        // Update timestamp and save counter
-        cityData.header['last modified'] = Date.now();
-        cityData.header['save counter'] = (cityData.header['save counter'] || 0) + 1;
-        
-        // Encode header
-        const headerStr = JSON.stringify(cityData.header);
-        const headerBytes = new TextEncoder().encode(headerStr);
-        const headerLen = headerBytes.length;
+    serialize(cityData, options = {}) {
+        const { headerBytes, compressed, gzipOptions } = this.prepareSerialize(cityData, options);
+        return this.buildFile(headerBytes, compressed || this.compress(PieceBuffer.toArray(cityData.binaryData), gzipOptions));
+    },
+
+    /**
+     * Work out everything serialize() needs except the compression itself,
+     * so that the compression can run elsewhere (see ParseWorker)
+     * @param {Object} cityData - City data with header and binaryData
+     * @param {Object} [options] - Same as serialize()
+     * @returns {Object} { headerBytes, compressed, gzipOptions } - compressed is the
+     *   reusable original stream, or null if the payload must be compressed
+     */
+    prepareSerialize(cityData, options = {}) {
+        const preserve = options.preserve === true;
         
-        // Compress binary data
-        const compressedBinary = pako.gzip(cityData.binaryData);
+        if (!preserve) {
+            // Update timestamp and save counter
+            cityData.header['last modified'] = Date.now();
+            cityData.header['save counter'] = (cityData.header['save counter'] || 0) + 1;
+        }
+        
+        // Encode header (JSON.stringify keeps the original key order)
+        let headerBytes;
+        if (preserve && cityData.originalHeaderBytes &&
+            JSON.stringify(cityData.header) === JSON.stringify(cityData.originalHeader)) {
+            headerBytes = cityData.originalHeaderBytes;
+        } else {
+            headerBytes = new TextEncoder().encode(JSON.stringify(cityData.header));
+        }
         
-        // Build file
+        // Compressed binary data
+        let compressed = null;
+        let gzipOptions;
+        if (preserve && cityData.originalCompressed &&
+            PieceBuffer.isOriginal(cityData.binaryData)) {
+            compressed = cityData.originalCompressed;
+        } else if (preserve && cityData.gzipHeader) {
+            gzipOptions = this.getGzipOptions(cityData.gzipHeader);
+        }
+        
+        return { headerBytes, compressed, gzipOptions };
+    },
+
+    /**
+     * Assemble a .city file
+     * @param {Uint8Array} headerBytes - Encoded JSON header
+     * @param {Uint8Array} compressedBinary - Gzip stream
+     * @returns {Uint8Array} File data
+     */
+    buildFile(headerBytes, compressedBinary) {
+        const headerLen = headerBytes.length;
         const fileData = new Uint8Array(2 + headerLen + compressedBinary.length);
         fileData[0] = (headerLen >> 8) & 0xFF;
         fileData[1] = headerLen & 0xFF;
@@ -68,6 +215,27 @@ const FileParser = {
         return fileData;
     },
 
+    /**
+     * Build pako gzip options that reproduce an original gzip header
+     * @param {Object} gzipHeader - Header from parseGzipHeader
+     * @returns {Object} Options for pako.gzip
+     */
+    getGzipOptions(gzipHeader) {
+        // XFL 2 = maximum compression, 4 = fastest
+        const level = gzipHeader.xfl === 2 ? 9 : gzipHeader.xfl === 4 ? 1 : 6;
+        const header = {
+            text: (gzipHeader.flags & 0x01) !== 0,
+            time: gzipHeader.time,
+            os: gzipHeader.os,
+            hcrc: gzipHeader.hcrc
+        };
+        if (gzipHeader.extra) header.extra = gzipHeader.extra;
+        if (gzipHeader.name !== null) header.name = gzipHeader.name;
+        if (gzipHeader.comment !== null) header.comment = gzipHeader.comment;
+        
+        return { level, header };
+    },
+
     /**
      * Get file info for display
      * @param {Object} header - Parsed header
@@ -0,0 +1,158 @@
+/**
+ * TheoTown Save Editor - Save Recovery
+ * Salvages the readable part of a truncated or corrupted .city file
+ */
+
+const SaveRecovery = {
+    /**
+     * Rebuild a loadable city from a damaged file
+     * Inflates as much of the payload as possible, cuts the Binary JSON at the
+     * last complete entry and closes every container that was left open.
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw file data
+     * @returns {Object} { cityData, report } - cityData has the shape of FileParser.parse output;
+     *   report is { lost: string[], keptBytes, discardedBytes, uninflatedBytes, complete }
+     * @throws {Error} If the header or the start of the payload cannot be read
+     */
+    recover(buffer) {
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (data.length < 2) {
+            throw new Error('File is too small to recover');
+        }
+
+        // The header must be intact - it is small and written first
+        const headerLen = (data[0] << 8) | data[1];
+        if (2 + headerLen > data.length) {
+            throw new Error(`Header length ${headerLen} exceeds file size ${data.length}; the header cannot be recovered`);
+        }
+        let header;
+        try {
+            header = JSON.parse(new TextDecoder('utf-8').decode(data.subarray(2, 2 + headerLen)));
+        } catch (e) {
+            throw new Error('Header is not valid JSON; the header cannot be recovered');
+        }
+
+        const payload = data.subarray(2 + headerLen);
+        const { binary, uninflatedBytes, gzipHeader } = this.inflatePayload(payload);
+        if (binary.length === 0) {
+            throw new Error('No data could be decompressed');
+        }
+
+        const salvage = this.salvage(binary);
+        const lost = salvage.lost;
+        if (uninflatedBytes > 0) {
+            lost.push(`${uninflatedBytes} compressed bytes could not be decompressed`);
+        }
+
+        const cityData = {
+            header: header,
+            binaryData: salvage.data,
+            originalHeader: JSON.parse(JSON.stringify(header)),
+            // The damaged file is never reproduced, so nothing is kept for byte-identical saves
+            originalHeaderBytes: null,
+            originalCompressed: null,
+            gzipHeader: gzipHeader
+        };
+
+        return {
+            cityData: cityData,
+            report: {
+                lost: lost,
+                keptBytes: salvage.keptBytes,
+                discardedBytes: binary.length - salvage.keptBytes,
+                uninflatedBytes: uninflatedBytes,
+                complete: lost.length === 0
+            }
+        };
+    },
+
+    /**
+     * Decompress as much of a payload as possible, whatever its format
+     * @param {Uint8Array} payload - Bytes after the header
+     * @returns {Object} { binary, uninflatedBytes, gzipHeader }
+     */
+    inflatePayload(payload) {
+        const format = SaveDiagnostics.detectFormat(payload);
+        let gzipHeader = null;
+        let result;
+
+        switch (format) {
+            case 'gzip': {
+                gzipHeader = FileParser.parseGzipHeader(payload);
+                const body = payload.subarray(Math.min(gzipHeader.length, payload.length));
+                result = SaveDiagnostics.inflate(body, true);
+                break;
+            }
+            case 'zlib':
+            case 'deflate':
+                result = SaveDiagnostics.inflate(payload, format === 'deflate');
+                break;
+            case 'binary':
+                return { binary: payload, uninflatedBytes: 0, gzipHeader: null };
+            default:
+                throw new Error('Payload format is not recognized; nothing can be recovered');
+        }
+
+        // A stream that ended cleanly has no unreadable input, whatever follows it
+        return {
+            binary: result.data,
+            uninflatedBytes: result.ended ? 0 : result.remaining,
+            gzipHeader: gzipHeader
+        };
+    },
+
+    /**
+     * Cut Binary JSON at the last complete entry and close open containers
+     * @param {Uint8Array} binary - Decompressed (possibly truncated) data
+     * @returns {Object} { data, lost, keptBytes }
+     * @throws {Error} If not even the root container starts
+     */
+    salvage(binary) {
+        const tree = BinaryJson.parse(binary, { partial: true });
+        if (!tree.error) {
+            const lost = [];
+            if (tree.trailingBytes > 0) {
+                lost.push(`${tree.trailingBytes} bytes after the end of the data`);
+            }
+            const keptBytes = binary.length - tree.trailingBytes;
+            return { data: binary.slice(0, keptBytes), lost: lost, keptBytes: keptBytes };
+        }
+        if (tree.open.length === 0) {
+            throw new Error('The data does not start with a readable object');
+        }
+
+        const TYPE = BinaryUtils.TYPE;
+        const lost = [`Data is damaged: ${tree.error.message}`];
+
+        // The innermost open container may hold one unfinished entry
+        const innermost = tree.open[tree.open.length - 1];
+        const last = innermost.children[innermost.children.length - 1];
+        let cut = innermost.valueOffset;
+        if (last && last.end !== null) {
+            cut = last.end;
+        } else if (last) {
+            lost.push(`Entry ${last.path} was incomplete and has been dropped`);
+            const previous = innermost.children[innermost.children.length - 2];
+            cut = previous ? previous.end : innermost.valueOffset;
+        }
+
+        // Close containers from the inside out
+        const closing = [];
+        for (let i = tree.open.length - 1; i >= 0; i--) {
+            const container = tree.open[i];
+            const kept = container.children.filter(child => child.end !== null || tree.open.includes(child)).length;
+            lost.push(`${container.path} was cut off after ${kept} ${container.kind === 'array' ? 'items' : 'entries'}`);
+            closing.push(container.kind === 'object' ? TYPE.OBJECT_END : TYPE.ARRAY_END);
+        }
+
+        const data = new Uint8Array(cut + closing.length);
+        data.set(binary.subarray(0, cut));
+        data.set(closing, cut);
+
+        return { data: data, lost: lost, keptBytes: cut };
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveRecovery;
+}
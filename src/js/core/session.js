@@ -0,0 +1,176 @@
+/**
+ * TheoTown Save Editor - Session Store
+ * Keeps the working session in IndexedDB so it survives a reload or crash
+ *
+ * One session is stored per open tab, keyed by tab id (see
+ * CityManager.getSession for its shape). Saves are throttled: changes made
+ * while a save is pending are written together when its timer fires.
+ */
+
+const SessionStore = {
+    dbName: 'theotown-save-editor-session',
+    storeName: 'session',
+    // Minimum time between two writes
+    SAVE_INTERVAL_MS: 2000,
+    db: null,
+    // Set when IndexedDB cannot be opened; sessions are then not kept
+    unavailable: false,
+    timer: null,
+    // Pending saves: functions returning the session to write, by key
+    captures: new Map(),
+
+    /**
+     * Open the session database
+     * @returns {Promise<boolean>} Whether the database is available
+     */
+    async init() {
+        if (this.db) return true;
+        if (this.unavailable) return false;
+
+        return new Promise((resolve) => {
+            try {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onerror = () => {
+                    console.warn('IndexedDB not available, session will not be kept');
+                    this.unavailable = true;
+                    resolve(false);
+                };
+
+                request.onsuccess = (event) => {
+                    this.db = event.target.result;
+                    resolve(true);
+                };
+
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName);
+                    }
+                };
+            } catch (e) {
+                console.warn('IndexedDB error:', e);
+                this.unavailable = true;
+                resolve(false);
+            }
+        });
+    },
+
+    /**
+     * Save a session soon, at most once per SAVE_INTERVAL_MS
+     * @param {number|string} key - Session key (the tab id)
+     * @param {Function} capture - Returns the session to store, or null to store nothing
+     */
+    schedule(key, capture) {
+        this.captures.set(key, capture);
+        if (this.timer) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.SAVE_INTERVAL_MS);
+    },
+
+    /**
+     * Write the pending saves now (e.g. when the page is hidden)
+     * Every session is captured before the first write starts.
+     * @returns {Promise<boolean>} Success status (true if nothing was pending)
+     */
+    async flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const sessions = [...this.captures].map(([key, capture]) => [key, capture()]);
+        this.captures.clear();
+
+        let success = true;
+        for (const [key, session] of sessions) {
+            if (session && !await this.save(key, session)) success = false;
+        }
+        return success;
+    },
+
+    /**
+     * Store a session, replacing the one stored under its key
+     * @param {number|string} key - Session key
+     * @param {Object} session - Session from CityManager.getSession
+     * @returns {Promise<boolean>} Success status
+     */
+    async save(key, session) {
+        await this.init();
+        if (!this.db) return false;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.storeName, 'readwrite');
+                const store = tx.objectStore(this.storeName);
+                const request = store.put(session, key);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => {
+                    console.warn('Failed to store session in IndexedDB');
+                    resolve(false);
+                };
+            } catch (e) {
+                console.warn('IndexedDB store error:', e);
+                resolve(false);
+            }
+        });
+    },
+
+    /**
+     * Read every stored session
+     * @returns {Promise<Object[]>} { key, session }, oldest key first
+     */
+    async loadAll() {
+        await this.init();
+        if (!this.db) return [];
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.storeName, 'readonly');
+                const store = tx.objectStore(this.storeName);
+                const keys = store.getAllKeys();
+                const values = store.getAll();
+
+                values.onsuccess = () => {
+                    resolve((values.result || []).map((session, i) => ({ key: keys.result[i], session })));
+                };
+                values.onerror = () => resolve([]);
+            } catch (e) {
+                resolve([]);
+            }
+        });
+    },
+
+    /**
+     * Forget a stored session and its pending save
+     * @param {number|string} key - Session key
+     * @returns {Promise<boolean>} Success status
+     */
+    async remove(key) {
+        this.captures.delete(key);
+
+        await this.init();
+        if (!this.db) return true;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.storeName, 'readwrite');
+                const store = tx.objectStore(this.storeName);
+                const request = store.delete(key);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => resolve(false);
+            } catch (e) {
+                resolve(false);
+            }
+        });
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
@@ -58,6 +58,27 @@ const Validator = {
         return baseConstraint;
     },
 
+    // Value ranges by type byte for raw tree edits
+    TYPE_RANGES: {
+        0x0f: { min: -128, max: 127, integer: true },                   // Int8
+        0x0e: { min: -32768, max: 32767, integer: true },               // Int16
+        0x08: { min: -2147483648, max: 2147483647, integer: true },     // Int32
+        0x10: { min: -Number.MAX_VALUE, max: Number.MAX_VALUE },        // Double64
+        0x07: { min: -Number.MAX_VALUE, max: Number.MAX_VALUE }         // Double
+    },
+
+    // Header value constraints by key path (nested keys joined with '.')
+    HEADER_CONSTRAINTS: {
+        'width': { min: 1, integer: true, name: 'Width' },
+        'height': { min: 1, integer: true, name: 'Height' },
+        'habitants': { min: 0, integer: true, name: 'Population' },
+        'money': { min: 0, name: 'Money' },
+        'rank lvl': { min: 0, max: 64, integer: true, name: 'Rank Level' },
+        'save counter': { min: 0, integer: true, name: 'Save Counter' },
+        'last modified': { min: 0, integer: true, name: 'Last Modified' },
+        'info.playtime': { min: 0, name: 'Playtime' }
+    },
+
     // Valid gamemodes
     VALID_GAMEMODES: ['EASY', 'NORMAL', 'HARD', 'SANDBOX'],
 
@@ -65,10 +86,11 @@ const Validator = {
      * Validate city data before saving
      * @param {Object} cityData - City data from CityManager
      * @param {Object} binaryFields - Binary fields info
-     * @param {Object} displayData - Display data with current values
+     * @param {Object} values - Current binary values { estate, rank, dsaSupplies } (null if unresolved)
+     * @param {Object[]} [fieldIssues] - Unresolved field paths from BinaryFields.findAllFields
      * @returns {Object} Validation result { valid, errors, warnings }
      */
-    validate(cityData, binaryFields, displayData) {
+    validate(cityData, binaryFields, values, fieldIssues) {
         const errors = [];
         const warnings = [];
 
@@ -98,37 +120,35 @@ const Validator = {
         }
 
         // Numeric field validations
-        if (displayData && displayData.editable) {
-            const e = displayData.editable;
-
+        if (values) {
             // Estate (Money) - uses dynamic constraint based on field type
-            if (e.binaryEstate !== null) {
+            if (values.estate !== null) {
                 const estateField = binaryFields?.ESTATE;
                 const result = this.checkNumericFieldWithConstraint(
                     this.getEstateConstraint(estateField), 
-                    e.binaryEstate
+                    values.estate
                 );
                 if (result.error) errors.push(result.error);
                 if (result.warning) warnings.push(result.warning);
             }
 
             // Rank
-            if (e.binaryRank !== null) {
-                const result = this.checkNumericField('rank', e.binaryRank);
+            if (values.rank !== null) {
+                const result = this.checkNumericField('rank', values.rank);
                 if (result.error) errors.push(result.error);
                 if (result.warning) warnings.push(result.warning);
             }
 
             // DSA Supplies
-            if (e.binaryDsaSupplies !== null) {
-                const result = this.checkNumericField('dsaSupplies', e.binaryDsaSupplies);
+            if (values.dsaSupplies !== null) {
+                const result = this.checkNumericField('dsaSupplies', values.dsaSupplies);
                 if (result.error) errors.push(result.error);
                 if (result.warning) warnings.push(result.warning);
             }
         }
 
         // Binary field integrity check
-        const integrityResult = this.checkBinaryIntegrity(binaryFields);
+        const integrityResult = this.checkBinaryIntegrity(binaryFields, fieldIssues);
         if (integrityResult.warning) {
             warnings.push(integrityResult.warning);
         }
@@ -185,9 +205,10 @@ const Validator = {
     /**
      * Check binary field integrity
      * @param {Object} binaryFields - Binary fields from findAllFields
+     * @param {Object[]} [fieldIssues] - Unresolved field paths from findAllFields
      * @returns {Object} { warning }
      */
-    checkBinaryIntegrity(binaryFields) {
+    checkBinaryIntegrity(binaryFields, fieldIssues) {
         const result = {};
         
         if (!binaryFields) {
@@ -203,6 +224,180 @@ const Validator = {
             result.warning = `Some fields not found in binary: ${missingFields.join(', ')}`;
         }
 
+        // Paths matching several nodes are never edited, but the user should know
+        const ambiguous = (fieldIssues || []).filter(issue => issue.problem === 'ambiguous');
+        if (ambiguous.length > 0) {
+            const paths = ambiguous.map(issue => `${issue.path} (${issue.matches} matches)`);
+            result.warning = (result.warning ? result.warning + '; ' : '') +
+                `Ambiguous field paths: ${paths.join(', ')}`;
+        }
+
+        return result;
+    },
+
+    /**
+     * Check a value against the range of a binary type (for raw tree edits)
+     * @param {number} type - Type byte of the node being edited
+     * @param {*} value - New value
+     * @returns {Object} { valid, message }
+     */
+    checkNodeValue(type, value) {
+        // Bool (0x11/0x12)
+        if (type === 0x11 || type === 0x12) {
+            if (typeof value !== 'boolean') {
+                return { valid: false, message: 'Must be true or false' };
+            }
+            return { valid: true };
+        }
+
+        // String (0x16) - int16 length prefix
+        if (type === 0x16) {
+            if (typeof value !== 'string') {
+                return { valid: false, message: 'Must be text' };
+            }
+            if (new TextEncoder().encode(value).length > 0xFFFF) {
+                return { valid: false, message: 'Max 65,535 bytes' };
+            }
+            return { valid: true };
+        }
+
+        const range = this.TYPE_RANGES[type];
+        if (!range) {
+            return { valid: false, message: 'This type cannot be edited' };
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return { valid: false, message: 'Must be a number' };
+        }
+        if (range.integer && !Number.isInteger(value)) {
+            return { valid: false, message: 'Must be a whole number' };
+        }
+        if (value < range.min) {
+            return { valid: false, message: `Min: ${range.min.toLocaleString()}` };
+        }
+        if (value > range.max) {
+            return { valid: false, message: `Max: ${range.max.toLocaleString()}` };
+        }
+
+        return { valid: true };
+    },
+
+    /**
+     * Check a value for a named editor field (as used by CityManager.applyValue)
+     * @param {string} field - 'money', 'rank', 'name', 'gamemode', 'uber' or 'dsaSupplies'
+     * @param {*} value - New value
+     * @returns {Object} { valid, message }
+     */
+    checkFieldValue(field, value) {
+        switch (field) {
+            case 'money':
+            case 'estate':
+            case 'rank':
+            case 'dsaSupplies':
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    return { valid: false, message: 'Must be a number' };
+                }
+                // Money has no type limit here - setMoney upgrades the type as needed
+                return this.quickCheck(field === 'money' ? 'estate' : field, value);
+            case 'name':
+                if (typeof value !== 'string') {
+                    return { valid: false, message: 'Must be text' };
+                }
+                return this.quickCheck('name', value);
+            case 'gamemode':
+                if (!this.VALID_GAMEMODES.includes(value)) {
+                    return { valid: false, message: `Must be one of ${this.VALID_GAMEMODES.join(', ')}` };
+                }
+                return { valid: true };
+            case 'uber':
+                if (typeof value !== 'boolean') {
+                    return { valid: false, message: 'Must be true or false' };
+                }
+                return { valid: true };
+            default:
+                return { valid: false, message: 'Unknown field' };
+        }
+    },
+
+    /**
+     * Check a new header value
+     * The value must keep the JSON type of the current value, and known keys
+     * are checked against HEADER_CONSTRAINTS.
+     * @param {string} path - Header key path (e.g. 'info.playtime')
+     * @param {*} value - New value
+     * @param {*} currentValue - Current value in the header
+     * @returns {Object} { valid, message }
+     */
+    checkHeaderValue(path, value, currentValue) {
+        if (currentValue !== null && currentValue !== undefined && typeof value !== typeof currentValue) {
+            return { valid: false, message: `Must be a ${typeof currentValue}` };
+        }
+
+        if (path === 'name') {
+            return this.quickCheck('name', value);
+        }
+        if (path === 'gamemode' && !this.VALID_GAMEMODES.includes(value)) {
+            return { valid: false, message: `Must be one of ${this.VALID_GAMEMODES.join(', ')}` };
+        }
+        // Versions are text in most saves and numbers in some; the type check above covers both
+        if (path === 'version' && typeof value === 'string' && value.trim().length === 0) {
+            return { valid: false, message: 'Version cannot be empty' };
+        }
+
+        if (typeof value === 'number') {
+            if (!isFinite(value)) {
+                return { valid: false, message: 'Must be a number' };
+            }
+            const constraint = this.HEADER_CONSTRAINTS[path];
+            if (constraint) {
+                if (constraint.integer && !Number.isInteger(value)) {
+                    return { valid: false, message: 'Must be a whole number' };
+                }
+                if (value < constraint.min) {
+                    return { valid: false, message: `Min: ${constraint.min}` };
+                }
+                if (constraint.max !== undefined && value > constraint.max) {
+                    return { valid: false, message: `Max: ${constraint.max.toLocaleString()}` };
+                }
+            }
+        }
+
+        return { valid: true };
+    },
+
+    /**
+     * Get the numeric range of a field, for clamping computed values
+     * @param {string} field - Field name used by CityManager.applyValue, a node
+     *   path ('root…') or 'header.' + key path
+     * @param {number} [nodeType] - Type byte of the node (node paths only)
+     * @returns {Object|null} { min, max, integer } (max may be undefined), or null
+     */
+    getRange(field, nodeType) {
+        if (field.startsWith('root')) {
+            return this.TYPE_RANGES[nodeType] || null;
+        }
+        if (field.startsWith('header.')) {
+            return this.HEADER_CONSTRAINTS[field.slice('header.'.length)] || null;
+        }
+
+        const constraint = this.CONSTRAINTS[field === 'money' ? 'estate' : field];
+        if (!constraint || constraint.min === undefined) return null;
+        return {
+            min: constraint.min,
+            max: constraint.max,
+            integer: field === 'rank' || field === 'dsaSupplies'
+        };
+    },
+
+    /**
+     * Bring a number into a range
+     * @param {Object} range - Range from getRange
+     * @param {number} value - Value
+     * @returns {number} Value rounded (integer ranges) and limited to min/max
+     */
+    clamp(range, value) {
+        let result = range.integer ? Math.round(value) : value;
+        if (range.min !== undefined) result = Math.max(range.min, result);
+        if (range.max !== undefined) result = Math.min(range.max, result);
         return result;
     },
 
@@ -0,0 +1,212 @@
+/**
+ * TheoTown Save Editor - Zip Archive
+ * Writes and reads zip archives (stored or deflated entries, no zip64)
+ *
+ * Deflate uses pako; CRC-32 comes from SaveDiagnostics.
+ * Entry: { name, data, date } - date is optional when writing
+ */
+
+const ZipArchive = {
+    SIGNATURE: {
+        LOCAL: 0x04034b50,
+        CENTRAL: 0x02014b50,
+        END: 0x06054b50
+    },
+
+    METHOD: {
+        STORE: 0,
+        DEFLATE: 8
+    },
+
+    // Flag bit 11: names are UTF-8
+    UTF8_FLAG: 0x0800,
+
+    /**
+     * Build a zip archive
+     * @param {Array<Object>} entries - { name, data, date?, compress? } - compress: false
+     *   stores data that is already compressed
+     * @returns {Uint8Array} Archive
+     */
+    create(entries) {
+        const encoder = new TextEncoder();
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const deflate = entry.compress !== false && entry.data.length > 0;
+            const body = deflate ? pako.deflateRaw(entry.data) : entry.data;
+            const { time, date } = this.toDosTime(entry.date || new Date());
+            const fields = {
+                method: deflate ? this.METHOD.DEFLATE : this.METHOD.STORE,
+                time,
+                date,
+                crc: SaveDiagnostics.crc32(entry.data),
+                compressedSize: body.length,
+                size: entry.data.length
+            };
+
+            const local = new Uint8Array(30 + name.length);
+            const view = new DataView(local.buffer);
+            view.setUint32(0, this.SIGNATURE.LOCAL, true);
+            view.setUint16(4, 20, true);
+            this.writeFields(view, 6, fields);
+            view.setUint16(26, name.length, true);
+            view.setUint16(28, 0, true);
+            local.set(name, 30);
+            locals.push(local, body);
+
+            const central = new Uint8Array(46 + name.length);
+            const cview = new DataView(central.buffer);
+            cview.setUint32(0, this.SIGNATURE.CENTRAL, true);
+            cview.setUint16(4, 20, true);
+            cview.setUint16(6, 20, true);
+            this.writeFields(cview, 8, fields);
+            cview.setUint16(28, name.length, true);
+            cview.setUint32(42, offset, true);
+            central.set(name, 46);
+            centrals.push(central);
+
+            offset += local.length + body.length;
+        }
+
+        const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+        const end = new Uint8Array(22);
+        const eview = new DataView(end.buffer);
+        eview.setUint32(0, this.SIGNATURE.END, true);
+        eview.setUint16(8, entries.length, true);
+        eview.setUint16(10, entries.length, true);
+        eview.setUint32(12, centralSize, true);
+        eview.setUint32(16, offset, true);
+
+        const parts = locals.concat(centrals, [end]);
+        const out = new Uint8Array(offset + centralSize + end.length);
+        let pos = 0;
+        for (const part of parts) {
+            out.set(part, pos);
+            pos += part.length;
+        }
+        return out;
+    },
+
+    /**
+     * Read every entry of a zip archive
+     * @param {ArrayBuffer|Uint8Array} buffer - Archive
+     * @returns {Array<Object>} Entries { name, data, date } (directories are skipped)
+     * @throws {Error} If the archive is damaged or uses an unsupported feature
+     */
+    read(buffer) {
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        // The end record is the last 22 bytes plus an optional comment
+        let end = -1;
+        for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === this.SIGNATURE.END) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a zip archive');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let pos = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > data.length || view.getUint32(pos, true) !== this.SIGNATURE.CENTRAL) {
+                throw new Error('Zip directory is damaged');
+            }
+            const method = view.getUint16(pos + 10, true);
+            const time = view.getUint16(pos + 12, true);
+            const date = view.getUint16(pos + 14, true);
+            const crc = view.getUint32(pos + 16, true);
+            const compressedSize = view.getUint32(pos + 20, true);
+            const size = view.getUint32(pos + 24, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const localOffset = view.getUint32(pos + 42, true);
+            const name = decoder.decode(data.subarray(pos + 46, pos + 46 + nameLength));
+            pos += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            if (localOffset + 30 > data.length || view.getUint32(localOffset, true) !== this.SIGNATURE.LOCAL) {
+                throw new Error(`Zip entry ${name} is damaged`);
+            }
+            const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const body = data.subarray(start, start + compressedSize);
+
+            let content;
+            if (method === this.METHOD.STORE) {
+                content = body.slice();
+            } else if (method === this.METHOD.DEFLATE) {
+                try {
+                    content = pako.inflateRaw(body);
+                } catch (e) {
+                    throw new Error(`Zip entry ${name} cannot be decompressed`);
+                }
+            } else {
+                throw new Error(`Zip entry ${name} uses unsupported compression method ${method}`);
+            }
+
+            if (content.length !== size || SaveDiagnostics.crc32(content) !== crc) {
+                throw new Error(`Zip entry ${name} failed its CRC check`);
+            }
+            entries.push({ name, data: content, date: this.fromDosTime(time, date) });
+        }
+        return entries;
+    },
+
+    /**
+     * Write the fields shared by local and central headers
+     * @param {DataView} view - Header
+     * @param {number} offset - Offset of the flags field
+     * @param {Object} fields - { method, time, date, crc, compressedSize, size }
+     */
+    writeFields(view, offset, fields) {
+        view.setUint16(offset, this.UTF8_FLAG, true);
+        view.setUint16(offset + 2, fields.method, true);
+        view.setUint16(offset + 4, fields.time, true);
+        view.setUint16(offset + 6, fields.date, true);
+        view.setUint32(offset + 8, fields.crc, true);
+        view.setUint32(offset + 12, fields.compressedSize, true);
+        view.setUint32(offset + 16, fields.size, true);
+    },
+
+    /**
+     * Convert a date to MS-DOS time and date fields (local time, 2 second steps)
+     * @param {Date} value - Date
+     * @returns {Object} { time, date }
+     */
+    toDosTime(value) {
+        const year = Math.max(1980, value.getFullYear());
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | (value.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    },
+
+    /**
+     * Convert MS-DOS time and date fields to a date
+     * @param {number} time - Time field
+     * @param {number} date - Date field
+     * @returns {Date} Date (local time)
+     */
+    fromDosTime(time, date) {
+        return new Date(
+            (date >> 9) + 1980, ((date >> 5) & 0x0F) - 1, date & 0x1F,
+            time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2
+        );
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+}
@@ -0,0 +1,132 @@
+/**
+ * TheoTown Save Editor - Batch Editor
+ * Applies one recipe to many city files
+ *
+ * Each file is parsed through ParseWorker and opened in CityManager in turn
+ * (without a backup - the inputs are not edited in place), edited with
+ * CityManager.applyRecipe, validated and saved through the usual read-back
+ * verification. The city open in CityManager (with its history) is put
+ * aside for the batch and restored afterwards; the UI also detaches its
+ * tab first so that nothing captures a batch file as that tab's session.
+ *
+ * Input: { file, name } - name is the path inside the batch (e.g. 'saves/a.city')
+ * Result: { fileName, status: 'success'|'warning'|'error', applied, clamped,
+ *           skipped, warnings, errors, data } - clamped/skipped/warnings/errors
+ *           are message lists, data is the saved file (null on error)
+ */
+
+const BatchEditor = {
+    /**
+     * Apply a recipe to every file
+     * @param {Array<Object>} files - Inputs { file, name }
+     * @param {Object} recipe - Recipe from EditRecipe.create or EditRecipe.parse
+     * @param {Object} [options] - Options for CityManager.save (e.g. { preserve: true })
+     * @param {Function} [onProgress] - Called with { index, count, fileName } before each file
+     * @returns {Promise<Object[]>} One result per file, in order
+     */
+    async run(files, recipe, options, onProgress) {
+        const state = CityManager.getState();
+        const results = [];
+        try {
+            for (let i = 0; i < files.length; i++) {
+                if (onProgress) onProgress({ index: i, count: files.length, fileName: files[i].name });
+                results.push(await this.processFile(files[i], recipe, options));
+            }
+        } finally {
+            CityManager.setState(state);
+        }
+        return results;
+    },
+
+    /**
+     * Load, edit, validate and save one file
+     * @param {Object} input - { file, name }
+     * @param {Object} recipe - Recipe
+     * @param {Object} [options] - Options for CityManager.save
+     * @returns {Promise<Object>} Result
+     */
+    async processFile(input, recipe, options) {
+        const result = {
+            fileName: input.name,
+            status: 'error',
+            applied: 0,
+            clamped: [],
+            skipped: [],
+            warnings: [],
+            errors: [],
+            data: null
+        };
+
+        try {
+            const parsed = await ParseWorker.parse(await input.file.arrayBuffer());
+            await CityManager.open(parsed.cityData, input.name, { backup: false, index: parsed });
+        } catch (err) {
+            if (err.cancelled) throw err;
+            result.errors.push('Cannot be read: ' + err.message);
+            return result;
+        }
+
+        const report = CityManager.applyRecipe(recipe);
+        if (!report.success) {
+            result.errors.push(...report.errors);
+            return result;
+        }
+        for (const item of report.results) {
+            const label = EditRecipe.describe(item.operation);
+            if (item.status === 'applied') {
+                result.applied++;
+            } else if (item.status === 'clamped') {
+                result.applied++;
+                result.clamped.push(`${label}: ${item.message}`);
+            } else {
+                result.skipped.push(`${label}: ${item.message}`);
+            }
+        }
+
+        const validation = CityManager.validate();
+        result.warnings.push(...validation.warnings);
+        if (!validation.valid) {
+            result.errors.push(...validation.errors);
+            return result;
+        }
+
+        const saved = await CityManager.save(options);
+        if (!saved || !saved.data) {
+            result.errors.push('Save verification failed: ' + (saved ? saved.report.errors.join(', ') : 'nothing to save'));
+            return result;
+        }
+
+        result.data = saved.data;
+        const clean = result.clamped.length === 0 && result.skipped.length === 0 && result.warnings.length === 0;
+        result.status = clean ? 'success' : 'warning';
+        return result;
+    },
+
+    /**
+     * Pack the saved files into one zip archive
+     * Files are stored without compression (they are gzip data already);
+     * names that repeat get ' (2)', ' (3)'... before the extension.
+     * @param {Object[]} results - Results from run()
+     * @returns {Uint8Array} Archive
+     */
+    createArchive(results) {
+        const names = new Set();
+        const entries = [];
+        for (const result of results) {
+            if (!result.data) continue;
+
+            let name = result.fileName;
+            for (let n = 2; names.has(name); n++) {
+                name = result.fileName.replace(/(\.city)?$/, ` (${n})$1`);
+            }
+            names.add(name);
+            entries.push({ name, data: result.data, compress: false });
+        }
+        return ZipArchive.create(entries);
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchEditor;
+}
@@ -8,31 +8,172 @@ const CityManager = {
     currentCity: null,
     fileName: null,
     binaryFields: null,
+    fieldIssues: [],
     hasChanges: false,
     hasBackup: false,
+    // BackupManager id of the version this city was loaded from
+    backupId: null,
+    recovery: null,
+    // Incremented per load() so that an older load can tell it was superseded
+    loadId: 0,
+    // History actions collected while a transaction runs (see transaction())
+    transactionActions: null,
+
+    // Header keys mirrored by binary fields (checked before saving)
+    HEADER_BINARY_PAIRS: [
+        { key: 'NAME', header: 'name', label: 'City Name' },
+        { key: 'ESTATE', header: 'money', label: 'Money' },
+        { key: 'RANK', header: 'rank lvl', label: 'Rank' },
+        { key: 'GAMEMODE', header: 'gamemode', label: 'Difficulty' },
+        { key: 'UBER', header: 'uber', label: 'Uber Mode' }
+    ],
+
+    // Format of getSession output; older stored sessions are not resumed
+    SESSION_VERSION: 1,
+
+    // Field keys mapped to the field names used by applyValue and history
+    FIELD_HISTORY_NAMES: {
+        ESTATE: 'money',
+        RANK: 'rank',
+        NAME: 'name',
+        GAMEMODE: 'gamemode',
+        UBER: 'uber',
+        DSA_SUPPLIES: 'dsaSupplies'
+    },
 
     /**
      * Load a city file
+     * Decompression and indexing run in ParseWorker; a load that is still
+     * running is cancelled (its promise rejects with err.cancelled).
+     * @param {File} file - File object from input
+     * @param {Function} [onProgress] - Called with { phase, fraction }
+     * @returns {Promise<Object>} Loaded city data
+     */
+    async load(file, onProgress) {
+        const loadId = ++this.loadId;
+        ParseWorker.cancel();
+        
+        const buffer = await file.arrayBuffer();
+        if (loadId !== this.loadId) throw ParseWorker.cancelledError();
+        const parsed = await ParseWorker.parse(buffer, onProgress);
+        if (parsed.treeError) {
+            console.warn('Could not decode Binary JSON structure:', parsed.treeError);
+        }
+        return this.open(parsed.cityData, file.name, { index: parsed });
+    },
+
+    /**
+     * Load the salvageable part of a damaged city file
+     * The repaired city starts out unsaved; recovery lists what was lost.
      * @param {File} file - File object from input
      * @returns {Promise<Object>} Loaded city data
+     * @throws {Error} If nothing can be recovered
      */
-    async load(file) {
+    async loadRecovered(file) {
+        this.loadId++;
+        ParseWorker.cancel();
+        
         const buffer = await file.arrayBuffer();
-        this.currentCity = await FileParser.parse(buffer);
-        this.fileName = file.name;
+        const { cityData, report } = SaveRecovery.recover(buffer);
+        
+        // Never replace a backup with damaged data
+        await this.open(cityData, file.name, { backup: false });
+        
+        for (const issue of this.fieldIssues) {
+            if (issue.problem === 'missing') {
+                report.lost.push(`Field ${issue.path} is missing`);
+            }
+        }
+        report.complete = report.lost.length === 0;
+        
+        this.recovery = report;
+        this.hasChanges = true;
+        return this.getDisplayData();
+    },
+
+    /**
+     * Load a stored backup version
+     * @param {string} id - BackupManager id
+     * @returns {Promise<Object>} Loaded city data
+     * @throws {Error} If the backup does not exist
+     */
+    async loadBackup(id) {
+        this.loadId++;
+        ParseWorker.cancel();
+        
+        const backup = await BackupManager.retrieve(id);
+        if (!backup) {
+            throw new Error('Backup not found');
+        }
+        
+        const cityData = {
+            header: JSON.parse(JSON.stringify(backup.header)),
+            binaryData: backup.data,
+            originalHeader: JSON.parse(JSON.stringify(backup.header)),
+            // Backups keep the decompressed data only
+            originalHeaderBytes: null,
+            originalCompressed: null,
+            gzipHeader: null
+        };
+        
+        // The version is already stored
+        await this.open(cityData, backup.filename, { backup: false });
+        this.backupId = id;
+        this.hasBackup = true;
+        return this.getDisplayData();
+    },
+
+    /**
+     * Drop the reference to a deleted backup
+     * @param {string} [id] - Deleted backup id (omit when all backups were deleted)
+     */
+    forgetBackup(id) {
+        if (id === undefined || id === this.backupId) {
+            this.backupId = null;
+            this.hasBackup = false;
+        }
+    },
+
+    /**
+     * Make parsed city data the current city
+     * @param {Object} cityData - Output of FileParser.parse or SaveRecovery.recover
+     * @param {string} fileName - Original file name
+     * @param {Object} [options] - { backup: false } skips storing a backup;
+     *   { index } takes the tree and fields already built by ParseWorker
+     * @returns {Promise<Object>} Loaded city data
+     */
+    async open(cityData, fileName, options = {}) {
+        this.currentCity = cityData;
+        this.fileName = fileName;
         this.hasChanges = false;
+        this.hasBackup = false;
+        this.backupId = null;
+        this.recovery = null;
+        
+        // Decode the Binary JSON structure once and resolve field paths
+        if (options.index) {
+            this.binaryFields = options.index.fields;
+            this.fieldIssues = options.index.issues;
+        } else {
+            this.currentCity.tree = this.parseTree(this.currentCity.binaryData);
+            this.indexFields();
+        }
         
-        // Find all binary fields
-        this.binaryFields = BinaryFields.findAllFields(this.currentCity.binaryData);
+        // Edits go into a piece table; the decompressed bytes stay as loaded
+        this.currentCity.binaryData = PieceBuffer.create(this.currentCity.binaryData);
         
-        // Store backup of original file
-        if (typeof BackupManager !== 'undefined') {
-            await BackupManager.store(
-                file.name, 
-                this.currentCity.originalBinary,
-                this.currentCity.originalHeader
+        // Store backup of original file (a new version unless this content is known)
+        if (typeof BackupManager !== 'undefined' && options.backup !== false) {
+            const { originalHeaderBytes, originalCompressed } = this.currentCity;
+            this.backupId = await BackupManager.store(
+                fileName, 
+                this.currentCity.binaryData.original,
+                this.currentCity.originalHeader,
+                originalHeaderBytes && originalCompressed
+                    ? FileParser.buildFile(originalHeaderBytes, originalCompressed)
+                    : null
             );
-            this.hasBackup = true;
+            this.hasBackup = this.backupId !== null;
         }
         
         // Clear history for new file
@@ -43,6 +184,45 @@ const CityManager = {
         return this.getDisplayData();
     },
 
+    /**
+     * Decode the Binary JSON tree for the current payload
+     * @param {Uint8Array} data - Decompressed binary data
+     * @returns {Object|null} Tree from BinaryJson.parse, or null if decoding failed
+     */
+    parseTree(data) {
+        try {
+            return BinaryJson.parse(data);
+        } catch (e) {
+            console.warn('Could not decode Binary JSON structure:', e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Resolve all field paths against the current tree
+     */
+    indexFields() {
+        const result = BinaryFields.findAllFields(this.currentCity.tree);
+        this.binaryFields = result.fields;
+        this.fieldIssues = result.issues;
+    },
+
+    /**
+     * Get a field node, refusing fields whose path is missing or ambiguous
+     * @param {string} key - Key of BinaryFields.FIELD_PATHS
+     * @returns {Object|null} Field node or null
+     */
+    requireField(key) {
+        const field = this.binaryFields[key];
+        if (!field) {
+            const issue = this.fieldIssues.find(i => i.key === key);
+            console.warn('Refusing to write ' + key + ': ' +
+                (issue ? BinaryFields.describeIssue(issue) : 'field not resolved'));
+            return null;
+        }
+        return field;
+    },
+
     /**
      * Get city data formatted for UI display
      * @returns {Object} Display-ready city data
@@ -119,80 +299,258 @@ const CityManager = {
                 dsaSupplies: fields.DSA_SUPPLIES?.valueOffset,
                 name: fields.NAME?.valueOffset
             },
+            fieldIssues: this.fieldIssues.map(issue => BinaryFields.describeIssue(issue)),
+            headerEntries: this.getHeaderEntries(),
+            inconsistencies: this.getInconsistencies(),
             gamemodes: BinaryFields.GAMEMODES,
             hasBackup: this.hasBackup,
             historyCount: typeof HistoryManager !== 'undefined' ? HistoryManager.getUndoCount() : 0,
             canUndo: typeof HistoryManager !== 'undefined' ? HistoryManager.canUndo() : false,
             canRedo: typeof HistoryManager !== 'undefined' ? HistoryManager.canRedo() : false,
-            hasChanges: this.hasChanges
+            history: typeof HistoryManager !== 'undefined' ? HistoryManager.getTimeline() : null,
+            hasChanges: this.hasChanges,
+            recovery: this.recovery
+        };
+    },
+
+    /**
+     * List every primitive header value, with nested objects flattened
+     * @returns {Array<Object>} Entries { path, value, type, editable }
+     */
+    getHeaderEntries() {
+        const entries = [];
+        const visit = (obj, prefix) => {
+            for (const [key, value] of Object.entries(obj)) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    visit(value, path);
+                } else {
+                    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+                    entries.push({
+                        path,
+                        value,
+                        type,
+                        editable: ['number', 'string', 'boolean'].includes(type)
+                    });
+                }
+            }
         };
+        visit(this.currentCity.header, '');
+        return entries;
+    },
+
+    /**
+     * Read a header value by key path
+     * @param {string} path - Key path (e.g. 'info.playtime')
+     * @returns {*} Value or undefined
+     */
+    getHeaderValue(path) {
+        return path.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), this.currentCity.header);
+    },
+
+    /**
+     * Update any header value (header only - binary fields are not touched)
+     * @param {string} path - Key path (e.g. 'info.playtime')
+     * @param {*} value - New value, same JSON type as the current one
+     * @returns {Object} Result { success, error }
+     */
+    setHeaderValue(path, value) {
+        if (!this.currentCity) return { success: false, error: 'No city loaded' };
+        
+        const keys = path.split('.');
+        let parent = this.currentCity.header;
+        for (const key of keys.slice(0, -1)) {
+            if (!parent[key] || typeof parent[key] !== 'object') {
+                return { success: false, error: `Header key ${path} not found` };
+            }
+            parent = parent[key];
+        }
+        
+        const lastKey = keys[keys.length - 1];
+        const oldValue = parent[lastKey];
+        
+        if (typeof Validator !== 'undefined') {
+            const check = Validator.checkHeaderValue(path, value, oldValue);
+            if (!check.valid) {
+                return { success: false, error: `${path}: ${check.message}` };
+            }
+        }
+        
+        const edit = this.beginEdit(null, path);
+        parent[lastKey] = value;
+        this.commitEdit(edit, 'setHeaderValue', 'header.' + path);
+        
+        this.hasChanges = true;
+        return { success: true };
+    },
+
+    /**
+     * Read the current binary value of a known field
+     * @param {string} key - Key of BinaryFields.FIELD_PATHS
+     * @returns {*} Value, or null if the field is unresolved
+     */
+    readFieldValue(key) {
+        return BinaryFields.readField(this.currentCity.binaryData, key, this.binaryFields[key]);
+    },
+
+    /**
+     * List header values that disagree with their binary counterparts
+     * @returns {Array<Object>} Entries { key, header, label, headerValue, binaryValue }
+     */
+    getInconsistencies() {
+        const result = [];
+        for (const pair of this.HEADER_BINARY_PAIRS) {
+            const binaryValue = this.readFieldValue(pair.key);
+            if (binaryValue === null) continue;
+            
+            const headerValue = this.currentCity.header[pair.header];
+            if (headerValue !== binaryValue) {
+                result.push({ ...pair, headerValue, binaryValue });
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Resolve a header/binary disagreement by copying one side to the other
+     * @param {string} key - Field key from HEADER_BINARY_PAIRS
+     * @param {string} direction - 'toBinary' (header wins) or 'toHeader' (binary wins)
+     * @returns {Object} Result { success, error }
+     */
+    syncField(key, direction) {
+        const pair = this.HEADER_BINARY_PAIRS.find(p => p.key === key);
+        if (!this.currentCity || !pair) return { success: false, error: 'Unknown field' };
+        
+        if (direction === 'toHeader') {
+            return this.setHeaderValue(pair.header, this.readFieldValue(key));
+        }
+        
+        const headerValue = this.currentCity.header[pair.header];
+        if (headerValue === undefined) {
+            return { success: false, error: `Header has no ${pair.header} value` };
+        }
+        
+        const success = this.applyValue(this.FIELD_HISTORY_NAMES[key], headerValue);
+        return success ? { success } : { success, error: `Failed to write ${pair.label} to binary` };
     },
 
     /**
      * Update money value
+     * Upgrades the estate type (Int16 → Int32 → Double) when the value
+     * does not fit the current one.
      * @param {number} value - New money value
-     * @returns {Object} Result { success, clamped, maxValue, typeInfo }
+     * @returns {Object} Result { success, clamped, maxValue, typeInfo, upgraded, fromType }
      */
     setMoney(value) {
-        if (!this.currentCity) return { success: false };
+        if (!this.currentCity || !Number.isFinite(value)) return { success: false };
+        
+        const field = this.requireField('ESTATE');
+        if (!field) return { success: false };
         
-        const field = this.binaryFields.ESTATE;
+        // Money cannot go below zero in any type
+        value = Math.max(0, value);
         let clamped = false;
         let maxValue = null;
-        let typeInfo = null;
+        let typeInfo = BinaryFields.getTypeInfo(field.type);
+        let upgraded = false;
+        let fromType = null;
+        const edit = this.beginEdit(field);
         
-        // Update binary if field found
-        if (field) {
+        if (typeInfo && value > typeInfo.max && this.upgradeEstate(field, value)) {
+            fromType = typeInfo;
             typeInfo = BinaryFields.getTypeInfo(field.type);
-            
-            // Clamp value to max allowed by current type
-            // NOTE: Type upgrade is NOT supported because TheoTown's Binary JSON format
-            // uses member indices that would be corrupted by inserting bytes.
-            // To get higher money limits, earn > 32767 in-game to trigger automatic upgrade.
-            if (typeInfo && value > typeInfo.max) {
-                console.warn(`Money value ${value} exceeds max for ${typeInfo.name} (${typeInfo.max}). Clamping.`);
-                value = typeInfo.max;
-                clamped = true;
-                maxValue = typeInfo.max;
-            }
-            
-            // Write value
-            BinaryFields.writeEstate(
-                this.currentCity.binaryData, 
-                field, 
-                value
-            );
+            upgraded = true;
+        }
+        
+        // Clamp value to max allowed by current type (only if the upgrade was not possible)
+        if (typeInfo && value > typeInfo.max) {
+            console.warn(`Money value ${value} exceeds max for ${typeInfo.name} (${typeInfo.max}). Clamping.`);
+            value = typeInfo.max;
+            clamped = true;
+            maxValue = typeInfo.max;
         }
         
+        // Integer types hold whole numbers; round here so the header gets the same value
+        if (field.type !== 0x07 && field.type !== 0x10) {
+            value = Math.floor(value);
+        }
+        
+        // Write value
+        BinaryFields.writeEstate(
+            this.currentCity.binaryData, 
+            field, 
+            value
+        );
+        
         // Update header (with possibly clamped value)
         this.currentCity.header.money = value;
+        this.commitEdit(edit, 'setMoney', 'money');
         
         this.hasChanges = true;
-        return { success: true, clamped, maxValue, typeInfo };
+        return { success: true, clamped, maxValue, typeInfo, upgraded, fromType };
+    },
+
+    /**
+     * Upgrade the estate field to the smallest type that can hold a value
+     * @param {Object} field - Current estate field info
+     * @param {number} value - Value that must fit
+     * @returns {boolean} Whether the payload was rebuilt with a larger type
+     */
+    upgradeEstate(field, value) {
+        const currentValue = BinaryFields.readEstate(this.currentCity.binaryData, field);
+        let type = field.type;
+        
+        // Walk the upgrade path until the value fits
+        while (BinaryFields.getTypeInfo(type).max < value) {
+            const nextType = BinaryFields.getNextUpgradeType(type);
+            if (!nextType) break;
+            type = nextType;
+        }
+        if (type === field.type) return false;
+        
+        const upgraded = BinaryFields.upgradeFieldType(
+            this.currentCity.tree,
+            this.currentCity.binaryData,
+            field,
+            type,
+            currentValue
+        );
+        if (!upgraded) {
+            console.warn('Failed to upgrade estate type');
+            return false;
+        }
+        
+        // Offsets of later nodes were shifted in place by setValue
+        return true;
     },
 
     /**
      * Update rank value
      * @param {number} value - New rank value (0-64)
+     * @returns {boolean} Success status
      */
     setRank(value) {
-        if (!this.currentCity) return;
+        if (!this.currentCity || !Number.isFinite(value)) return false;
+        
+        const field = this.requireField('RANK');
+        if (!field) return false;
         
-        value = Math.max(0, Math.min(BinaryFields.MAX_RANK, value));
+        // Ranks are whole levels; header and binary get the same clamped value
+        value = Math.max(0, Math.min(BinaryFields.MAX_RANK, Math.floor(value)));
+        const edit = this.beginEdit(field);
         
         // Update header
         this.currentCity.header['rank lvl'] = value;
         
-        // Update binary if field found
-        if (this.binaryFields.RANK) {
-            BinaryFields.writeRank(
-                this.currentCity.binaryData, 
-                this.binaryFields.RANK, 
-                value
-            );
-        }
+        BinaryFields.writeRank(
+            this.currentCity.binaryData, 
+            field, 
+            value
+        );
+        this.commitEdit(edit, 'setRank', 'rank');
         
         this.hasChanges = true;
+        return true;
     },
 
     /**
@@ -203,26 +561,26 @@ const CityManager = {
     setGamemode(value) {
         if (!this.currentCity) return false;
         
-        // Update header
-        this.currentCity.header.gamemode = value;
+        const field = this.requireField('GAMEMODE');
+        if (!field) return false;
         
-        // Update binary if field found
-        if (this.binaryFields.GAMEMODE) {
-            const newBinaryData = BinaryFields.writeGamemode(
-                this.currentCity.binaryData, 
-                this.binaryFields.GAMEMODE, 
-                value
-            );
-            if (newBinaryData) {
-                this.currentCity.binaryData = newBinaryData;
-                // Re-find all fields since offsets may have changed
-                this.binaryFields = BinaryFields.findAllFields(this.currentCity.binaryData);
-            } else {
-                console.warn('Failed to write gamemode to binary');
-                return false;
-            }
+        // Offsets of later nodes are shifted in place, so the field index stays valid
+        const edit = this.beginEdit(field);
+        const written = BinaryFields.writeGamemode(
+            this.currentCity.tree,
+            this.currentCity.binaryData, 
+            field, 
+            value
+        );
+        if (!written) {
+            console.warn('Failed to write gamemode to binary');
+            return false;
         }
         
+        // Update header
+        this.currentCity.header.gamemode = value;
+        this.commitEdit(edit, 'setGamemode', 'gamemode');
+        
         this.hasChanges = true;
         return true;
     },
@@ -239,26 +597,26 @@ const CityManager = {
         name = name.trim();
         if (!name) return false;
         
-        // Update header
-        this.currentCity.header.name = name;
+        const field = this.requireField('NAME');
+        if (!field) return false;
         
-        // Update binary if field found
-        if (this.binaryFields.NAME) {
-            const newBinaryData = BinaryFields.writeName(
-                this.currentCity.binaryData, 
-                this.binaryFields.NAME, 
-                name
-            );
-            if (newBinaryData) {
-                this.currentCity.binaryData = newBinaryData;
-                // Re-find all fields since offsets may have changed
-                this.binaryFields = BinaryFields.findAllFields(this.currentCity.binaryData);
-            } else {
-                console.warn('Failed to write name to binary');
-                return false;
-            }
+        // Offsets of later nodes are shifted in place, so the field index stays valid
+        const edit = this.beginEdit(field);
+        const written = BinaryFields.writeName(
+            this.currentCity.tree,
+            this.currentCity.binaryData, 
+            field, 
+            name
+        );
+        if (!written) {
+            console.warn('Failed to write name to binary');
+            return false;
         }
         
+        // Update header
+        this.currentCity.header.name = name;
+        this.commitEdit(edit, 'setName', 'name');
+        
         this.hasChanges = true;
         return true;
     },
@@ -267,29 +625,28 @@ const CityManager = {
      * Toggle uber mode
      */
     toggleUber() {
-        if (!this.currentCity || !this.binaryFields.UBER) return;
+        if (!this.currentCity) return;
+        
+        const field = this.requireField('UBER');
+        if (!field) return;
         
         const currentValue = BinaryFields.readUber(
             this.currentCity.binaryData, 
-            this.binaryFields.UBER
+            field
         );
         const newValue = !currentValue;
+        const edit = this.beginEdit(field);
         
         // Update header
         this.currentCity.header.uber = newValue;
         
-        // Update binary
+        // Update binary (also updates the node's type byte)
         BinaryFields.writeUber(
             this.currentCity.binaryData, 
-            this.binaryFields.UBER, 
+            field, 
             newValue
         );
-        
-        // Re-find the UBER field since type byte changed
-        this.binaryFields.UBER = BinaryFields.findField(
-            this.currentCity.binaryData, 
-            BinaryFields.FIELD_NAMES.UBER
-        );
+        this.commitEdit(edit, 'toggleUber', 'uber');
         
         this.hasChanges = true;
         return newValue;
@@ -298,35 +655,26 @@ const CityManager = {
     /**
      * Set DSA supplies value
      * @param {number} value - New supplies value (0-32767)
+     * @returns {boolean} Success status
      */
     setDsaSupplies(value) {
-        if (!this.currentCity || !this.binaryFields.DSA_SUPPLIES) return;
+        if (!this.currentCity) return false;
         
-        const oldValue = BinaryFields.readDsaSupplies(
-            this.currentCity.binaryData, 
-            this.binaryFields.DSA_SUPPLIES
-        );
+        const field = this.requireField('DSA_SUPPLIES');
+        if (!field) return false;
         
         value = Math.max(0, Math.min(32767, value));
-        
-        // Record history
-        if (typeof HistoryManager !== 'undefined') {
-            HistoryManager.record({
-                type: 'setDsaSupplies',
-                field: 'dsaSupplies',
-                oldValue: oldValue,
-                newValue: value,
-                description: HistoryManager.createDescription('dsaSupplies', oldValue, value)
-            });
-        }
+        const edit = this.beginEdit(field);
         
         BinaryFields.writeDsaSupplies(
             this.currentCity.binaryData, 
-            this.binaryFields.DSA_SUPPLIES, 
+            field, 
             value
         );
+        this.commitEdit(edit, 'setDsaSupplies', 'dsaSupplies');
         
         this.hasChanges = true;
+        return true;
     },
 
     /**
@@ -345,10 +693,253 @@ const CityManager = {
         return Validator.validate(
             this.currentCity,
             this.binaryFields,
-            this.getDisplayData()
+            {
+                estate: this.readFieldValue('ESTATE'),
+                rank: this.readFieldValue('RANK'),
+                dsaSupplies: this.readFieldValue('DSA_SUPPLIES')
+            },
+            this.fieldIssues
         );
     },
 
+    /**
+     * Apply several changes as one step
+     * Every change is checked before anything is written. The changes are
+     * then applied in order; if one fails, the ones already written are
+     * rolled back. A successful transaction is one history entry.
+     * @param {string} name - Name shown in the history (e.g. 'Max everything')
+     * @param {Array<Object>} changes - { field, value } - field is a name used by
+     *   applyValue ('money', 'rank', 'name', 'gamemode', 'uber', 'dsaSupplies'),
+     *   a node path ('root.…') or a header key path ('header.…')
+     * @returns {Object} Result { success, errors }
+     */
+    transaction(name, changes) {
+        if (!this.currentCity) return { success: false, errors: ['No city loaded'] };
+        
+        const errors = this.checkChanges(changes);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+        
+        const hadChanges = this.hasChanges;
+        const actions = [];
+        let failure = null;
+        this.transactionActions = actions;
+        try {
+            for (const change of changes) {
+                if (!this.applyValue(change.field, change.value)) {
+                    failure = `Failed to write ${change.field}`;
+                    break;
+                }
+            }
+        } catch (e) {
+            failure = e.message;
+        } finally {
+            this.transactionActions = null;
+        }
+        
+        if (failure) {
+            // Roll back newest first so that every patch offset is valid again
+            for (const action of [...actions].reverse()) {
+                this.applyHistory(action, true);
+            }
+            this.hasChanges = hadChanges;
+            return { success: false, errors: [failure] };
+        }
+        
+        if (typeof HistoryManager !== 'undefined') {
+            HistoryManager.record({
+                type: 'transaction',
+                field: name,
+                oldValue: null,
+                newValue: null,
+                description: name,
+                steps: actions.map(({ type, field, oldValue, newValue }) => ({ type, field, oldValue, newValue })),
+                patches: actions.flatMap(action => action.patches),
+                header: actions.flatMap(action => action.header)
+            });
+        }
+        
+        return { success: true, errors: [] };
+    },
+
+    /**
+     * Check a set of changes before a transaction writes any of them
+     * @param {Array<Object>} changes - Changes as passed to transaction()
+     * @returns {string[]} Errors (empty if every change can be applied)
+     */
+    checkChanges(changes) {
+        const errors = [];
+        // Field of the first change to each node or header key
+        const seen = new Map();
+        const hasValidator = typeof Validator !== 'undefined';
+        
+        for (const { field, value } of changes) {
+            const resolved = this.resolveField(field);
+            if (resolved.error) {
+                errors.push(resolved.error);
+                continue;
+            }
+            
+            // A known field can be given by name or by node path; both write the same node
+            const target = resolved.node || field;
+            if (seen.has(target)) {
+                const first = seen.get(target);
+                errors.push(first === field ? `${field} is changed more than once` : `${field} and ${first} change the same value`);
+                continue;
+            }
+            seen.set(target, field);
+            if (!hasValidator) continue;
+            
+            // Known fields are checked like their setters, which may widen the type
+            const name = resolved.node ? this.getFieldName(resolved.node) : null;
+            let check;
+            if (name) {
+                check = Validator.checkFieldValue(name, value);
+            } else if (field.startsWith('root')) {
+                check = Validator.checkNodeValue(resolved.node.type, value);
+            } else if (field.startsWith('header.')) {
+                check = Validator.checkHeaderValue(field.slice('header.'.length), value, resolved.value);
+            }
+            
+            if (!check.valid) {
+                errors.push(`${field}: ${check.message}`);
+            }
+        }
+        
+        return errors;
+    },
+
+    /**
+     * Get the name of the known field a node holds
+     * @param {Object} node - Tree node
+     * @returns {string|null} Field name used by applyValue, or null for other nodes
+     */
+    getFieldName(node) {
+        const key = Object.keys(this.binaryFields).find(k => this.binaryFields[k] === node);
+        return key ? this.FIELD_HISTORY_NAMES[key] : null;
+    },
+
+    /**
+     * Find the target of a change and read its current value
+     * @param {string} field - Field as passed to transaction()
+     * @returns {Object} { value, node } (node is null for header keys), or { error }
+     */
+    resolveField(field) {
+        if (field.startsWith('root')) {
+            const nodes = BinaryJson.select(this.currentCity.tree, field);
+            if (nodes.length !== 1) {
+                return { error: nodes.length === 0 ? `${field} not found` : `${field} is ambiguous (${nodes.length} matches)` };
+            }
+            if (!BinaryFields.EDITABLE_TYPES.includes(nodes[0].type)) {
+                return { error: `${field} cannot be edited` };
+            }
+            return { value: BinaryJson.readValue(this.currentCity.binaryData, nodes[0]), node: nodes[0] };
+        }
+        
+        if (field.startsWith('header.')) {
+            const path = field.slice('header.'.length);
+            const value = this.getHeaderValue(path);
+            if (value === undefined) {
+                return { error: `Header key ${path} not found` };
+            }
+            return { value, node: null };
+        }
+        
+        const name = field === 'estate' ? 'money' : field;
+        const key = Object.keys(this.FIELD_HISTORY_NAMES).find(k => this.FIELD_HISTORY_NAMES[k] === name);
+        if (!key) {
+            return { error: `Unknown field ${field}` };
+        }
+        if (!this.binaryFields[key]) {
+            const issue = this.fieldIssues.find(i => i.key === key);
+            return { error: issue ? BinaryFields.describeIssue(issue) : `${field} is not resolved` };
+        }
+        return { value: this.readFieldValue(key), node: this.binaryFields[key] };
+    },
+
+    /**
+     * Apply an edit recipe as one transaction
+     * Operations run in order, each on the value the earlier ones left. A
+     * number outside the field's range is clamped into it; an operation that
+     * cannot be computed or fails validation is skipped and the rest still apply.
+     * @param {Object} recipe - Recipe from EditRecipe.parse
+     * @returns {Object} { success, errors, results } - one result per operation:
+     *   { operation, status: 'applied'|'clamped'|'skipped', oldValue, newValue, message }
+     */
+    applyRecipe(recipe) {
+        if (!this.currentCity) return { success: false, errors: ['No city loaded'], results: [] };
+        
+        // Values the recipe has produced so far, by field
+        const pending = new Map();
+        const results = [];
+        
+        for (const operation of recipe.operations) {
+            const result = { operation, status: 'skipped', oldValue: undefined, newValue: undefined, message: null };
+            results.push(result);
+            
+            const resolved = this.resolveField(operation.field);
+            if (resolved.error) {
+                result.message = resolved.error;
+                continue;
+            }
+            // Known fields given by node path share the named field's pending value and range
+            const field = (resolved.node && this.getFieldName(resolved.node)) || operation.field;
+            result.oldValue = pending.has(field) ? pending.get(field) : resolved.value;
+            
+            const evaluated = EditRecipe.evaluate(operation, result.oldValue);
+            if (evaluated.error) {
+                result.message = evaluated.error;
+                continue;
+            }
+            
+            let value = evaluated.value;
+            const range = typeof value === 'number' && typeof Validator !== 'undefined'
+                ? Validator.getRange(field, resolved.node?.type)
+                : null;
+            if (range) {
+                const clamped = Validator.clamp(range, value);
+                if (clamped !== value) {
+                    result.status = 'clamped';
+                    result.message = `${value.toLocaleString()} is out of range, using ${clamped.toLocaleString()}`;
+                    value = clamped;
+                }
+            }
+            
+            const errors = this.checkChanges([{ field, value }]);
+            if (errors.length > 0) {
+                result.status = 'skipped';
+                result.message = errors.join('; ');
+                continue;
+            }
+            if (Object.is(value, result.oldValue)) {
+                result.status = 'skipped';
+                result.message = result.message ? `${result.message}, which is already set` : 'Already set';
+                continue;
+            }
+            
+            if (result.status !== 'clamped') result.status = 'applied';
+            result.newValue = value;
+            pending.set(field, value);
+        }
+        
+        if (pending.size === 0) {
+            return { success: true, errors: [], results };
+        }
+        
+        // Each field is written once, with the value of its last operation
+        const changes = [...pending].map(([field, value]) => ({ field, value }));
+        const outcome = this.transaction(`Recipe: ${recipe.name}`, changes);
+        if (!outcome.success) {
+            for (const result of results) {
+                if (result.status === 'skipped') continue;
+                result.status = 'skipped';
+                result.message = outcome.errors.join('; ');
+            }
+        }
+        return { success: outcome.success, errors: outcome.errors, results };
+    },
+
     /**
      * Undo the last action
      * @returns {boolean} Whether undo was performed
@@ -361,10 +952,7 @@ const CityManager = {
         const action = HistoryManager.popUndo();
         if (!action) return false;
         
-        HistoryManager.startApplying();
-        this.applyValue(action.field, action.oldValue);
-        HistoryManager.stopApplying();
-        
+        this.applyHistory(action, true);
         return true;
     },
 
@@ -380,47 +968,349 @@ const CityManager = {
         const action = HistoryManager.popRedo();
         if (!action) return false;
         
-        HistoryManager.startApplying();
-        this.applyValue(action.field, action.newValue);
-        HistoryManager.stopApplying();
-        
+        this.applyHistory(action, false);
         return true;
     },
 
     /**
-     * Apply a value to a field (used by undo/redo)
-     * @param {string} field - Field name
+     * Undo or redo until a given number of actions is applied
+     * @param {number} position - Number of applied actions (0 = oldest kept state)
+     * @returns {boolean} Whether the state changed
+     */
+    jumpToHistory(position) {
+        if (typeof HistoryManager === 'undefined') return false;
+        
+        const start = HistoryManager.getUndoCount();
+        while (HistoryManager.getUndoCount() > position) {
+            if (!this.undo()) break;
+        }
+        while (HistoryManager.getUndoCount() < position) {
+            if (!this.redo()) break;
+        }
+        return HistoryManager.getUndoCount() !== start;
+    },
+
+    /**
+     * Restore the bytes and header values from either side of a history action
+     * Patches are reverted in reverse order, so every offset they recorded is
+     * valid again when it is reached.
+     * @param {Object} action - Action from HistoryManager
+     * @param {boolean} undo - True to restore the state before the action
+     */
+    applyHistory(action, undo) {
+        const patches = undo ? [...action.patches].reverse() : action.patches;
+        for (const patch of patches) {
+            BinaryJson.setBytes(
+                this.currentCity.tree,
+                this.currentCity.binaryData,
+                patch.node,
+                undo ? patch.removed : patch.inserted
+            );
+        }
+        
+        const header = this.currentCity.header;
+        const changes = undo ? [...action.header].reverse() : action.header;
+        for (const change of changes) {
+            const value = undo ? change.oldValue : change.newValue;
+            if (value === undefined) {
+                delete header[change.key];
+            } else {
+                header[change.key] = JSON.parse(JSON.stringify(value));
+            }
+        }
+        
+        this.hasChanges = true;
+    },
+
+    /**
+     * Capture the state an edit is about to change
+     * @param {Object|null} node - Tree node the edit writes, or null for header-only edits
+     * @param {string} [headerPath] - Header key path of a header-only edit
+     * @returns {Object} Snapshot for commitEdit
+     */
+    beginEdit(node, headerPath) {
+        const data = this.currentCity.binaryData;
+        return {
+            node: node,
+            headerPath: headerPath,
+            offset: node ? node.typeOffset : null,
+            bytes: node ? PieceBuffer.read(data, node.typeOffset, node.end).slice() : null,
+            header: JSON.parse(JSON.stringify(this.currentCity.header)),
+            oldValue: this.readEditValue(node, headerPath)
+        };
+    },
+
+    /**
+     * Record a finished edit in the history as binary and header deltas
+     * @param {Object} edit - Snapshot from beginEdit
+     * @param {string} type - Action type (e.g. 'setName')
+     * @param {string} field - Field name used by applyValue, a node path or 'header.' + key path
+     */
+    commitEdit(edit, type, field) {
+        const patches = [];
+        if (edit.node) {
+            const node = edit.node;
+            const inserted = PieceBuffer.read(this.currentCity.binaryData, node.typeOffset, node.end).slice();
+            const same = inserted.length === edit.bytes.length && inserted.every((byte, i) => byte === edit.bytes[i]);
+            if (!same) {
+                patches.push({ node, offset: edit.offset, removed: edit.bytes, inserted });
+            }
+        }
+        
+        // Header keys are compared at the top level, nested objects as a whole
+        const header = [];
+        const current = this.currentCity.header;
+        const keys = new Set([...Object.keys(edit.header), ...Object.keys(current)]);
+        for (const key of keys) {
+            if (JSON.stringify(edit.header[key]) !== JSON.stringify(current[key])) {
+                header.push({
+                    key,
+                    oldValue: edit.header[key],
+                    newValue: current[key] === undefined ? undefined : JSON.parse(JSON.stringify(current[key]))
+                });
+            }
+        }
+        
+        const newValue = this.readEditValue(edit.node, edit.headerPath);
+        const action = {
+            type,
+            field,
+            oldValue: edit.oldValue,
+            newValue,
+            description: typeof HistoryManager !== 'undefined'
+                ? HistoryManager.createDescription(field, edit.oldValue, newValue)
+                : field,
+            patches,
+            header
+        };
+        
+        if (this.transactionActions) {
+            this.transactionActions.push(action);
+        } else if (typeof HistoryManager !== 'undefined') {
+            HistoryManager.record(action);
+        }
+    },
+
+    /**
+     * Read the value an edit targets, for history descriptions
+     * @param {Object|null} node - Tree node
+     * @param {string} [headerPath] - Header key path (used when node is null)
+     * @returns {*} Current value
+     */
+    readEditValue(node, headerPath) {
+        if (node) return BinaryJson.readValue(this.currentCity.binaryData, node);
+        return this.getHeaderValue(headerPath);
+    },
+
+    /**
+     * Apply a value to a field by name (used when syncing and for known fields in the tree browser)
+     * @param {string} field - Field name, or a node path for raw tree edits
      * @param {*} value - Value to apply
+     * @returns {boolean} Success status
      */
     applyValue(field, value) {
         switch (field) {
             case 'money':
             case 'estate':
-                this.setMoney(value);
-                break;
+                return this.setMoney(value).success;
             case 'rank':
-                this.setRank(value);
-                break;
+                return this.setRank(value);
             case 'name':
-                this.setName(value);
-                break;
+                return this.setName(value);
             case 'gamemode':
-                this.setGamemode(value);
-                break;
-            case 'uber':
+                return this.setGamemode(value);
+            case 'uber': {
                 // Uber is a toggle, need special handling
                 const currentUber = BinaryFields.readUber(
                     this.currentCity.binaryData, 
                     this.binaryFields.UBER
                 );
                 if (currentUber !== value) {
-                    this.toggleUber();
+                    return this.toggleUber() !== undefined;
                 }
-                break;
+                return true;
+            }
             case 'dsaSupplies':
-                this.setDsaSupplies(value);
-                break;
+                return this.setDsaSupplies(value);
+            default:
+                if (field.startsWith('root')) {
+                    return this.setNodeValue(field, value).success;
+                }
+                if (field.startsWith('header.')) {
+                    return this.setHeaderValue(field.slice('header.'.length), value).success;
+                }
+                return false;
+        }
+    },
+
+    /**
+     * Get a node summary for the raw tree browser
+     * @param {Object} node - Tree node
+     * @returns {Object} { path, label, kind, type, typeName, offset, value, childCount, editable }
+     */
+    getNodeView(node) {
+        const typeInfo = BinaryFields.getTypeInfo(node.type);
+        return {
+            path: node.path,
+            label: node.parent ? String(node.key) : 'root',
+            kind: node.kind,
+            type: node.type,
+            typeName: typeInfo ? typeInfo.name : 'Unknown',
+            offset: node.start,
+            value: node.children ? undefined : BinaryJson.readValue(this.currentCity.binaryData, node),
+            childCount: node.children ? node.children.length : null,
+            editable: BinaryFields.EDITABLE_TYPES.includes(node.type)
+        };
+    },
+
+    /**
+     * Get the root summary for the raw tree browser
+     * @returns {Object|null} Summary from getNodeView, or null if the tree could not be decoded
+     */
+    getRootView() {
+        if (!this.currentCity || !this.currentCity.tree) return null;
+        return this.getNodeView(this.currentCity.tree.root);
+    },
+
+    /**
+     * Get a page of child summaries for the raw tree browser
+     * @param {string} path - Container path
+     * @param {number} start - Index of the first child
+     * @param {number} count - Maximum number of children
+     * @returns {Object[]} Child summaries from getNodeView
+     */
+    getChildViews(path, start, count) {
+        if (!this.currentCity) return [];
+        const node = BinaryJson.get(this.currentCity.tree, path);
+        if (!node || !node.children) return [];
+        return node.children.slice(start, start + count).map(child => this.getNodeView(child));
+    },
+
+    /**
+     * Get the byte span of a node, split into name, type and value segments
+     * @param {Object} node - Tree node
+     * @returns {Object} { path, start, end, segments: [{ kind, start, end }] }
+     */
+    getNodeSpan(node) {
+        const segments = [];
+        if (node.nameOffset !== null) {
+            segments.push({ kind: 'name-length', start: node.start, end: node.nameOffset + 2 });
+            segments.push({ kind: 'name', start: node.nameOffset + 2, end: node.typeOffset });
+        }
+        segments.push({ kind: 'type', start: node.typeOffset, end: node.typeOffset + 1 });
+        if (node.end > node.typeOffset + 1) {
+            segments.push({ kind: 'value', start: node.typeOffset + 1, end: node.end });
         }
+        return { path: node.path, start: node.start, end: node.end, segments };
+    },
+
+    /**
+     * Get the byte span of a node by path
+     * @param {string} path - Node path
+     * @returns {Object|null} Span from getNodeSpan, or null if not exactly one node
+     */
+    getPathSpan(path) {
+        if (!this.currentCity) return null;
+        const node = BinaryJson.get(this.currentCity.tree, path);
+        return node ? this.getNodeSpan(node) : null;
+    },
+
+    /**
+     * Get the byte span of a known field
+     * @param {string} key - Key of BinaryFields.FIELD_PATHS
+     * @returns {Object|null} Span from getNodeSpan, or null if the field is unresolved
+     */
+    getFieldSpan(key) {
+        if (!this.currentCity || !this.binaryFields[key]) return null;
+        return this.getNodeSpan(this.binaryFields[key]);
+    },
+
+    /**
+     * Get the data for the hex inspector
+     * @returns {Object|null} { data, original, sameLength, diff } - data is the PieceBuffer
+     */
+    getHexView() {
+        if (!this.currentCity) return null;
+        const data = this.currentCity.binaryData;
+        return {
+            data: data,
+            original: data.original,
+            sameLength: data.length === data.original.length,
+            diff: PieceBuffer.changedRanges(data)
+        };
+    },
+
+    /**
+     * Set the value of any primitive node in the tree
+     * Nodes backing a known field go through that field's setter so the
+     * header stays in sync.
+     * @param {string} path - Node path
+     * @param {*} value - New value (number, string or boolean matching the node type)
+     * @returns {Object} Result { success, error }
+     */
+    setNodeValue(path, value) {
+        if (!this.currentCity) return { success: false, error: 'No city loaded' };
+        
+        const nodes = BinaryJson.select(this.currentCity.tree, path);
+        if (nodes.length !== 1) {
+            return {
+                success: false,
+                error: nodes.length === 0 ? `${path} not found` : `${path} is ambiguous (${nodes.length} matches)`
+            };
+        }
+        
+        const node = nodes[0];
+        if (!BinaryFields.EDITABLE_TYPES.includes(node.type)) {
+            return { success: false, error: `${path} cannot be edited` };
+        }
+        
+        // Known fields use their own setters (which clamp or upgrade as needed)
+        const fieldName = this.getFieldName(node);
+        if (fieldName) {
+            const success = this.applyValue(fieldName, value);
+            return success ? { success } : { success, error: `Failed to write ${path}` };
+        }
+        
+        const check = typeof Validator !== 'undefined' ? Validator.checkNodeValue(node.type, value) : { valid: true };
+        if (!check.valid) {
+            return { success: false, error: `${path}: ${check.message}` };
+        }
+        
+        const edit = this.beginEdit(node);
+        if (!this.writeNodeValue(node, value)) {
+            return { success: false, error: `Failed to write ${path}` };
+        }
+        this.commitEdit(edit, 'setNodeValue', path);
+        
+        this.hasChanges = true;
+        return { success: true };
+    },
+
+    /**
+     * Write a value into a primitive node, keeping its type
+     * @param {Object} node - Tree node
+     * @param {*} value - Value already checked by Validator.checkNodeValue
+     * @returns {boolean} Success status
+     */
+    writeNodeValue(node, value) {
+        const data = this.currentCity.binaryData;
+        
+        // Bools live in the type byte
+        if (node.type === 0x11 || node.type === 0x12) {
+            node.type = value ? 0x11 : 0x12;
+            return PieceBuffer.write(data, node.typeOffset, [node.type]);
+        }
+        
+        const payload = BinaryJson.encodeValue(node.type, value);
+        if (!payload) return false;
+        
+        // Same size - overwrite in place
+        if (payload.length === node.end - node.typeOffset - 1) {
+            return PieceBuffer.write(data, node.typeOffset + 1, payload);
+        }
+        
+        // Different size (strings) - later offsets are shifted in the tree
+        return BinaryJson.setValue(this.currentCity.tree, data, node, node.type, value);
     },
 
     /**
@@ -429,20 +1319,43 @@ const CityManager = {
      */
     async getOriginalBlob() {
         if (typeof BackupManager === 'undefined') return null;
-        return await BackupManager.getAsBlob(this.fileName);
+        if (!this.backupId) return null;
+        return await BackupManager.getAsBlob(this.backupId);
     },
 
     /**
      * Save city to file
-     * @returns {Blob} File blob for download
+     * The serialized bytes are read back and verified before they are
+     * handed out; on failure the header is restored and no blob is returned.
+     * @param {Object} [options] - Options for FileParser.serialize (e.g. { preserve: true })
+     * @param {Function} [onProgress] - Called with { phase, fraction }
+     * @returns {Promise<Object|null>} { blob, data, report } - blob and data (the file
+     *   bytes) are null if verification failed
      */
-    save() {
+    async save(options, onProgress) {
         if (!this.currentCity) return null;
         
-        const fileData = FileParser.serialize(this.currentCity);
-        this.hasChanges = false;
+        // serialize() may bump the timestamp and save counter
+        const headerBefore = JSON.parse(JSON.stringify(this.currentCity.header));
+        let fileData, report;
+        try {
+            fileData = await ParseWorker.serialize(this.currentCity, options, onProgress);
+            report = await SaveVerifier.verify(fileData, this.currentCity, this.binaryFields, onProgress);
+        } catch (err) {
+            this.currentCity.header = headerBefore;
+            throw err;
+        }
+        if (!report.ok) {
+            this.currentCity.header = headerBefore;
+            return { blob: null, data: null, report };
+        }
         
-        return new Blob([fileData], { type: 'application/octet-stream' });
+        this.hasChanges = false;
+        return {
+            blob: new Blob([fileData], { type: 'application/octet-stream' }),
+            data: fileData,
+            report
+        };
     },
 
     /**
@@ -453,6 +1366,191 @@ const CityManager = {
         return this.fileName || 'city.city';
     },
 
+    /**
+     * Capture everything that belongs to the open city, for switching tabs
+     * The state shares the city data and history actions rather than copying them.
+     * @returns {Object} State for setState
+     */
+    getState() {
+        return {
+            currentCity: this.currentCity,
+            fileName: this.fileName,
+            binaryFields: this.binaryFields,
+            fieldIssues: this.fieldIssues,
+            hasChanges: this.hasChanges,
+            hasBackup: this.hasBackup,
+            backupId: this.backupId,
+            recovery: this.recovery,
+            history: typeof HistoryManager !== 'undefined' ? HistoryManager.getState() : null
+        };
+    },
+
+    /**
+     * Make a state from getState the open city again, with its history
+     * @param {Object} state - State from getState
+     */
+    setState(state) {
+        this.currentCity = state.currentCity;
+        this.fileName = state.fileName;
+        this.binaryFields = state.binaryFields;
+        this.fieldIssues = state.fieldIssues;
+        this.hasChanges = state.hasChanges;
+        this.hasBackup = state.hasBackup;
+        this.backupId = state.backupId;
+        this.recovery = state.recovery;
+        
+        if (typeof HistoryManager !== 'undefined') {
+            if (state.history) {
+                HistoryManager.setState(state.history);
+            } else {
+                HistoryManager.clear();
+            }
+        }
+    },
+
+    /**
+     * Capture the working session for SessionStore
+     * History patches refer to tree nodes, so they are stored by node path.
+     * @param {Object} [state] - State from getState, for a city in a background
+     *   tab (default: the open city)
+     * @returns {Object|null} Session, or null if no city is loaded
+     */
+    getSession(state) {
+        const source = state || this;
+        if (!source.currentCity) return null;
+        
+        const city = source.currentCity;
+        const toStored = action => ({
+            ...action,
+            patches: action.patches.map(({ node, ...patch }) => ({
+                ...patch,
+                path: node.path,
+                indexPath: this.getIndexPath(node)
+            }))
+        });
+        let history = state ? state.history : null;
+        if (!state && typeof HistoryManager !== 'undefined') {
+            history = HistoryManager.getState();
+        }
+        history = history || { undoStack: [], redoStack: [], droppedCount: 0 };
+        
+        return {
+            version: this.SESSION_VERSION,
+            savedAt: Date.now(),
+            fileName: source.fileName,
+            hasChanges: source.hasChanges,
+            hasBackup: source.hasBackup,
+            backupId: source.backupId,
+            recovery: source.recovery,
+            city: {
+                header: city.header,
+                originalHeader: city.originalHeader,
+                originalHeaderBytes: city.originalHeaderBytes,
+                originalCompressed: city.originalCompressed,
+                gzipHeader: city.gzipHeader,
+                original: city.binaryData.original,
+                data: PieceBuffer.toArray(city.binaryData)
+            },
+            history: {
+                undoStack: history.undoStack.map(toStored),
+                redoStack: history.redoStack.map(toStored),
+                droppedCount: history.droppedCount
+            }
+        };
+    },
+        
+    /**
+     * Get the child indexes leading from the root to a node
+     * Unlike paths, these stay unique when member names repeat.
+     * @param {Object} node - Tree node
+     * @returns {number[]} Child indexes, outermost first
+     */
+    getIndexPath(node) {
+        const indexes = [];
+        for (let current = node; current.parent; current = current.parent) {
+            indexes.push(current.parent.children.indexOf(current));
+        }
+        return indexes.reverse();
+    },
+
+    /**
+     * Find the node a stored history patch refers to
+     * @param {Object} tree - Tree from parseTree
+     * @param {Object} patch - Stored patch { path, indexPath }
+     * @returns {Object|null} Primitive node, or null if the patch does not match the tree
+     */
+    resolvePatchNode(tree, patch) {
+        // Sessions stored before index paths were recorded only have the path
+        if (!patch.indexPath) return BinaryJson.get(tree, patch.path);
+        
+        let node = tree.root;
+        for (const index of patch.indexPath) {
+            node = node.children ? node.children[index] : null;
+            if (!node) return null;
+        }
+        return !node.children && node.path === patch.path ? node : null;
+    },
+
+    /**
+     * Make a stored session the current city, with its history
+     * @param {Object} session - Session from getSession
+     * @returns {Object} Loaded city data; historyCleared is true if the
+     *   stored history did not match the data and was dropped
+     * @throws {Error} If the session was stored by an incompatible version
+     */
+    restoreSession(session) {
+        if (!session || session.version !== this.SESSION_VERSION) {
+            throw new Error('The stored session is from an incompatible version');
+        }
+        this.loadId++;
+        ParseWorker.cancel();
+        
+        const saved = session.city;
+        this.currentCity = {
+            header: saved.header,
+            originalHeader: saved.originalHeader,
+            originalHeaderBytes: saved.originalHeaderBytes,
+            originalCompressed: saved.originalCompressed,
+            gzipHeader: saved.gzipHeader,
+            binaryData: PieceBuffer.createEdited(saved.original, saved.data),
+            tree: this.parseTree(saved.data)
+        };
+        this.fileName = session.fileName;
+        this.hasChanges = session.hasChanges;
+        this.hasBackup = session.hasBackup;
+        this.backupId = session.backupId || null;
+        this.recovery = session.recovery;
+        this.indexFields();
+        
+        let resolved = true;
+        if (typeof HistoryManager !== 'undefined') {
+            // Edits never add or remove nodes, so index paths resolve in the rebuilt tree
+            const tree = this.currentCity.tree;
+            const toAction = action => ({
+                ...action,
+                patches: action.patches.map(({ path, indexPath, ...patch }) => {
+                    const node = tree ? this.resolvePatchNode(tree, { path, indexPath }) : null;
+                    if (!node) resolved = false;
+                    return { ...patch, node };
+                })
+            });
+            const history = session.history;
+            const undoStack = history.undoStack.map(toAction);
+            const redoStack = history.redoStack.map(toAction);
+        
+            if (resolved) {
+                HistoryManager.setState({ undoStack, redoStack, droppedCount: history.droppedCount });
+            } else {
+                console.warn('Stored history does not match the data; history was cleared');
+                HistoryManager.clear();
+            }
+        }
+        
+        const cityData = this.getDisplayData();
+        cityData.historyCleared = !resolved;
+        return cityData;
+    },
+        
     /**
      * Reset to original data
      */
@@ -461,10 +1559,17 @@ const CityManager = {
         
         // Restore original values
         this.currentCity.header = JSON.parse(JSON.stringify(this.currentCity.originalHeader));
-        this.currentCity.binaryData = new Uint8Array(this.currentCity.originalBinary);
+        const original = this.currentCity.binaryData.original;
+        this.currentCity.binaryData = PieceBuffer.create(original);
+        this.currentCity.tree = this.parseTree(original);
+        
+        // Re-resolve fields
+        this.indexFields();
         
-        // Re-find fields
-        this.binaryFields = BinaryFields.findAllFields(this.currentCity.binaryData);
+        // Recorded patches refer to nodes of the old tree
+        if (typeof HistoryManager !== 'undefined') {
+            HistoryManager.clear();
+        }
         
         this.hasChanges = false;
     },
@@ -476,7 +1581,11 @@ const CityManager = {
         this.currentCity = null;
         this.fileName = null;
         this.binaryFields = null;
+        this.fieldIssues = [];
         this.hasChanges = false;
+        this.hasBackup = false;
+        this.backupId = null;
+        this.recovery = null;
     }
 };
 
@@ -0,0 +1,448 @@
+/**
+ * TheoTown Save Editor - City Compare
+ * Field-level diff of two .city files
+ *
+ * Headers are compared key by key; the binary data is decoded and the two
+ * trees are walked side by side. Object members are matched by name, array
+ * elements by content, so inserting or removing an element does not shift
+ * every later one. An added or removed container is reported once rather
+ * than once per descendant.
+ *
+ * Row: { section: 'header'|'binary', path, oldPath, label, status: 'added'|'removed'|'changed',
+ *        oldValue, newValue, oldType, newType, oldCount, newCount, typeChanged }
+ * - path is the node's path in the second file (the first for removed nodes);
+ *   oldPath is its path in the first file when that differs, else null
+ */
+
+const CityCompare = {
+    // Labels for the known fields (keys of BinaryFields.FIELD_PATHS)
+    FIELD_LABELS: {
+        NAME: 'City Name',
+        ESTATE: 'Money',
+        RANK: 'Rank',
+        GAMEMODE: 'Difficulty',
+        UBER: 'Uber Mode',
+        DSA_SUPPLIES: 'DSA Supplies'
+    },
+
+    // Largest unmatched stretch of two arrays (elements × elements) that is
+    // aligned by longest common subsequence; bigger ones are first split at
+    // elements that occur once on each side
+    MAX_ALIGN_CELLS: 1000000,
+
+    /**
+     * Compare two .city files
+     * @param {ArrayBuffer} bufferA - First file (before)
+     * @param {ArrayBuffer} bufferB - Second file (after)
+     * @returns {Promise<Object>} { a, b, rows, summary } - a and b are { header },
+     *   summary is { added, removed, changed, typeChanged, unchanged }
+     * @throws {Error} If either file cannot be read (message says which)
+     */
+    async compare(bufferA, bufferB) {
+        const a = await this.load(bufferA, 'First file');
+        const b = await this.load(bufferB, 'Second file');
+
+        const tree = this.diffTrees(a, b);
+        const rows = this.diffHeaders(a.header, b.header).concat(tree.rows);
+        const summary = { added: 0, removed: 0, changed: 0, typeChanged: 0, unchanged: tree.unchanged };
+        for (const row of rows) {
+            summary[row.status]++;
+            if (row.typeChanged) summary.typeChanged++;
+        }
+
+        return { a: { header: a.header }, b: { header: b.header }, rows, summary };
+    },
+
+    /**
+     * Parse a file and decode its binary data
+     * @param {ArrayBuffer} buffer - File data
+     * @param {string} label - Name used in error messages
+     * @returns {Promise<Object>} { header, data, tree }
+     */
+    async load(buffer, label) {
+        let parsed;
+        try {
+            parsed = await ParseWorker.parse(buffer);
+        } catch (e) {
+            if (e.cancelled) throw e;
+            throw new Error(`${label}: ${e.message}`);
+        }
+
+        const cityData = parsed.cityData;
+        if (!cityData.tree) {
+            throw new Error(`${label}: binary data cannot be decoded (${parsed.treeError})`);
+        }
+        return { header: cityData.header, data: cityData.binaryData, tree: cityData.tree };
+    },
+
+    /**
+     * Compare two headers, nested objects key by key
+     * @param {Object} headerA - First header
+     * @param {Object} headerB - Second header
+     * @returns {Object[]} Rows for the keys that differ
+     */
+    diffHeaders(headerA, headerB) {
+        const rows = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const typeOf = value => value === undefined ? null
+            : Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+        const visit = (a, b, prefix) => {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            for (const key of keys) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                const oldValue = a[key];
+                const newValue = b[key];
+                if (isObject(oldValue) && isObject(newValue)) {
+                    visit(oldValue, newValue, path);
+                    continue;
+                }
+                if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+                const oldType = typeOf(oldValue);
+                const newType = typeOf(newValue);
+                rows.push({
+                    section: 'header',
+                    path: 'header.' + path,
+                    oldPath: null,
+                    label: null,
+                    status: oldValue === undefined ? 'added' : newValue === undefined ? 'removed' : 'changed',
+                    oldValue,
+                    newValue,
+                    oldType,
+                    newType,
+                    oldCount: null,
+                    newCount: null,
+                    typeChanged: oldType !== null && newType !== null && oldType !== newType
+                });
+            }
+        };
+        visit(headerA, headerB, '');
+        return rows;
+    },
+
+    /**
+     * Compare the decoded binary data of two files
+     * @param {Object} a - First file from load()
+     * @param {Object} b - Second file from load()
+     * @returns {Object} { rows, unchanged } - rows in document order, unchanged
+     *   counts the values present and equal in both
+     */
+    diffTrees(a, b) {
+        const labels = this.getFieldLabels();
+        const rows = [];
+        let unchanged = 0;
+
+        const row = (status, oldNode, newNode, oldKey, newKey) => {
+            const oldType = oldNode ? this.describeType(oldNode) : null;
+            const newType = newNode ? this.describeType(newNode) : null;
+            const path = newNode ? newKey : oldKey;
+            return {
+                section: 'binary',
+                path,
+                oldPath: oldNode && newNode && oldKey !== newKey ? oldKey : null,
+                label: labels[(newNode || oldNode).path] || null,
+                status,
+                oldValue: oldNode ? this.readValue(a.data, oldNode) : undefined,
+                newValue: newNode ? this.readValue(b.data, newNode) : undefined,
+                oldType,
+                newType,
+                oldCount: oldNode && oldNode.children ? oldNode.children.length : null,
+                newCount: newNode && newNode.children ? newNode.children.length : null,
+                typeChanged: oldType !== null && newType !== null && oldType !== newType
+            };
+        };
+
+        // Pairs of matched nodes still to visit: [oldNode, newNode, oldKey, newKey]
+        const stack = [[a.tree.root, b.tree.root, 'root', 'root']];
+        while (stack.length > 0) {
+            const [oldNode, newNode, oldKey, newKey] = stack.pop();
+            if (!newNode) {
+                rows.push(row('removed', oldNode, null, oldKey, null));
+                continue;
+            }
+            if (!oldNode) {
+                rows.push(row('added', null, newNode, null, newKey));
+                continue;
+            }
+
+            const entry = row('changed', oldNode, newNode, oldKey, newKey);
+            if (entry.typeChanged) {
+                rows.push(entry);
+            } else if (!oldNode.children) {
+                if (Object.is(entry.oldValue, entry.newValue)) {
+                    unchanged++;
+                } else {
+                    rows.push(entry);
+                }
+            } else {
+                const pairs = oldNode.kind === 'array'
+                    ? this.alignElements(a.data, oldNode.children, b.data, newNode.children)
+                    : this.matchMembers(oldNode.children, newNode.children);
+                for (let i = pairs.length - 1; i >= 0; i--) {
+                    const [oldChild, newChild, oldCount, newCount] = pairs[i];
+                    stack.push([
+                        oldChild, newChild,
+                        oldChild ? this.childKey(oldKey, oldChild, oldCount) : null,
+                        newChild ? this.childKey(newKey, newChild, newCount) : null
+                    ]);
+                }
+            }
+        }
+        return { rows, unchanged };
+    },
+
+    /**
+     * Build the key of a child from its parent's key
+     * Objects may repeat member names; later duplicates get ' (#2)', ' (#3)'...
+     * @param {string} parentKey - Key of the parent
+     * @param {Object} child - Child node
+     * @param {number} [occurrence] - Which member of this name the child is (objects only)
+     * @returns {string} Key
+     */
+    childKey(parentKey, child, occurrence) {
+        const key = BinaryJson.joinPath(parentKey, child.key);
+        return occurrence > 1 ? `${key} (#${occurrence})` : key;
+    },
+
+    /**
+     * Match the members of two objects by name (and occurrence of the name)
+     * @param {Object[]} membersA - Members of the first object
+     * @param {Object[]} membersB - Members of the second object
+     * @returns {Array<Array>} [memberA, memberB, occurrenceA, occurrenceB], null for
+     *   a missing side; in the first object's order, members only in the second come last
+     */
+    matchMembers(membersA, membersB) {
+        const number = (members) => {
+            const counts = new Map();
+            return members.map(member => {
+                const n = (counts.get(member.name) || 0) + 1;
+                counts.set(member.name, n);
+                return { member, n, id: `${member.name}#${n}` };
+            });
+        };
+        const byId = new Map(number(membersB).map(entry => [entry.id, entry]));
+
+        const pairs = [];
+        for (const { member, n, id } of number(membersA)) {
+            const match = byId.get(id);
+            pairs.push(match ? [member, match.member, n, match.n] : [member, null, n, null]);
+            byId.delete(id);
+        }
+        for (const { member, n } of byId.values()) {
+            pairs.push([null, member, null, n]);
+        }
+        return pairs;
+    },
+
+    /**
+     * Align the elements of two arrays by content
+     * Equal runs at the start and end are matched first, the rest by
+     * commonSubsequence(). Unmatched elements
+     * between two matches are paired by position and compared field by
+     * field; the surplus on either side is removed or added.
+     * @param {Uint8Array} dataA - First file's data
+     * @param {Object[]} elementsA - Elements of the first array
+     * @param {Uint8Array} dataB - Second file's data
+     * @param {Object[]} elementsB - Elements of the second array
+     * @returns {Array<Array>} [elementA, elementB] pairs, null for a missing side
+     */
+    alignElements(dataA, elementsA, dataB, elementsB) {
+        const sigA = elementsA.map(node => this.signature(dataA, node));
+        const sigB = elementsB.map(node => this.signature(dataB, node));
+
+        let start = 0;
+        while (start < sigA.length && start < sigB.length && sigA[start] === sigB[start]) start++;
+        let endA = sigA.length;
+        let endB = sigB.length;
+        while (endA > start && endB > start && sigA[endA - 1] === sigB[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        // Matched index pairs, with the end of both arrays as the last anchor
+        const matches = [];
+        for (let i = 0; i < start; i++) matches.push([i, i]);
+        matches.push(...this.commonSubsequence(sigA, start, endA, sigB, start, endB));
+        for (let i = 0; i < sigA.length - endA; i++) matches.push([endA + i, endB + i]);
+        matches.push([sigA.length, sigB.length]);
+
+        const pairs = [];
+        let i = 0;
+        let j = 0;
+        for (const [matchA, matchB] of matches) {
+            const gap = Math.min(matchA - i, matchB - j);
+            for (let k = 0; k < gap; k++) pairs.push([elementsA[i++], elementsB[j++]]);
+            while (i < matchA) pairs.push([elementsA[i++], null]);
+            while (j < matchB) pairs.push([null, elementsB[j++]]);
+            if (matchA < sigA.length) pairs.push([elementsA[i++], elementsB[j++]]);
+        }
+        return pairs;
+    },
+
+    /**
+     * Match equal elements of two stretches of signatures, in order
+     * Small stretches get their longest common subsequence. Larger ones are
+     * split at the signatures that occur exactly once on each side (the
+     * longest run of them that stays in order), and each part between two
+     * such anchors is matched the same way.
+     * @param {string[]} sigA - First signatures
+     * @param {number} startA - First index of the stretch in sigA
+     * @param {number} endA - End of the stretch in sigA (exclusive)
+     * @param {string[]} sigB - Second signatures
+     * @param {number} startB - First index of the stretch in sigB
+     * @param {number} endB - End of the stretch in sigB (exclusive)
+     * @returns {Array<Array<number>>} Matched [indexA, indexB] pairs in order
+     */
+    commonSubsequence(sigA, startA, endA, sigB, startB, endB) {
+        const n = endA - startA;
+        const m = endB - startB;
+        if (n === 0 || m === 0) return [];
+        if ((n + 1) * (m + 1) > this.MAX_ALIGN_CELLS) {
+            return this.matchByAnchors(sigA, startA, endA, sigB, startB, endB);
+        }
+
+        // lengths[i * (m + 1) + j] = LCS length of the suffixes from i and j
+        const lengths = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * (m + 1) + j] = sigA[startA + i] === sigB[startB + j]
+                    ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+            }
+        }
+
+        const matches = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (sigA[startA + i] === sigB[startB + j]) {
+                matches.push([startA + i++, startB + j++]);
+            } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return matches;
+    },
+
+    /**
+     * Match a large stretch by its unique signatures (see commonSubsequence)
+     * @param {string[]} sigA - First signatures
+     * @param {number} startA - First index of the stretch in sigA
+     * @param {number} endA - End of the stretch in sigA (exclusive)
+     * @param {string[]} sigB - Second signatures
+     * @param {number} startB - First index of the stretch in sigB
+     * @param {number} endB - End of the stretch in sigB (exclusive)
+     * @returns {Array<Array<number>>} Matched [indexA, indexB] pairs in order
+     *   (none if no signature is unique on both sides)
+     */
+    matchByAnchors(sigA, startA, endA, sigB, startB, endB) {
+        // Index of each signature, or -1 once it is seen twice
+        const unique = (sig, start, end) => {
+            const index = new Map();
+            for (let i = start; i < end; i++) {
+                index.set(sig[i], index.has(sig[i]) ? -1 : i);
+            }
+            return index;
+        };
+        const inA = unique(sigA, startA, endA);
+        const inB = unique(sigB, startB, endB);
+        const candidates = [];
+        for (const [signature, i] of inA) {
+            const j = inB.get(signature);
+            if (i >= 0 && j >= 0) candidates.push([i, j]);
+        }
+        candidates.sort((x, y) => x[0] - y[0]);
+
+        // Longest run of candidates whose B indices increase (patience sorting)
+        const tails = [];
+        const previous = new Array(candidates.length);
+        candidates.forEach(([, j], k) => {
+            let lo = 0;
+            let hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (candidates[tails[mid]][1] < j) lo = mid + 1;
+                else hi = mid;
+            }
+            previous[k] = lo > 0 ? tails[lo - 1] : -1;
+            tails[lo] = k;
+        });
+        const anchors = [];
+        for (let k = tails.length > 0 ? tails[tails.length - 1] : -1; k >= 0; k = previous[k]) {
+            anchors.push(candidates[k]);
+        }
+        anchors.reverse();
+        if (anchors.length === 0) return [];
+
+        const matches = [];
+        let i = startA;
+        let j = startB;
+        for (const [anchorA, anchorB] of anchors) {
+            matches.push(...this.commonSubsequence(sigA, i, anchorA, sigB, j, anchorB));
+            matches.push([anchorA, anchorB]);
+            i = anchorA + 1;
+            j = anchorB + 1;
+        }
+        matches.push(...this.commonSubsequence(sigA, i, endA, sigB, j, endB));
+        return matches;
+    },
+
+    /**
+     * Summarize the bytes of a node (type and value, not its name)
+     * Equal signatures are taken as equal elements; a rare collision only
+     * pairs two elements that are then compared field by field.
+     * @param {Uint8Array} data - Decompressed data
+     * @param {Object} node - Tree node
+     * @returns {string} Length and FNV-1a hash of the bytes
+     */
+    signature(data, node) {
+        let hash = 0x811c9dc5;
+        for (let i = node.typeOffset; i < node.end; i++) {
+            hash = Math.imul(hash ^ data[i], 0x01000193);
+        }
+        return `${node.end - node.typeOffset}:${(hash >>> 0).toString(16)}`;
+    },
+
+    /**
+     * Map the canonical paths of the known fields to their labels
+     * @returns {Object} Labels by node path
+     */
+    getFieldLabels() {
+        const labels = {};
+        for (const [key, label] of Object.entries(this.FIELD_LABELS)) {
+            const segments = BinaryJson.parsePath(BinaryFields.FIELD_PATHS[key]) || [];
+            const path = segments.reduce((prefix, segment) => BinaryJson.joinPath(prefix, segment), 'root');
+            labels[path] = label;
+        }
+        return labels;
+    },
+
+    /**
+     * Name the type of a node; true and false are both 'Bool'
+     * @param {Object} node - Tree node
+     * @returns {string} Type name
+     */
+    describeType(node) {
+        if (node.type === 0x11 || node.type === 0x12) return 'Bool';
+        const info = BinaryFields.getTypeInfo(node.type);
+        return info ? info.name : `0x${node.type.toString(16).padStart(2, '0')}`;
+    },
+
+    /**
+     * Read a primitive node's value
+     * @param {Uint8Array} data - Decompressed data
+     * @param {Object} node - Tree node
+     * @returns {*} Value (undefined for containers)
+     */
+    readValue(data, node) {
+        return node.children ? undefined : BinaryJson.readValue(data, node);
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CityCompare;
+}
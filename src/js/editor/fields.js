@@ -4,14 +4,14 @@
  */
 
 const BinaryFields = {
-    // Field name constants
-    FIELD_NAMES: {
-        ESTATE: 'estate',
-        RANK: 'rank lvl',
-        UBER: 'uber',
-        GAMEMODE: 'gamemode',
-        DSA_SUPPLIES: '_dsarocketprocentage',
-        NAME: 'name'
+    // Structural paths of editable fields (see BinaryJson.select for syntax)
+    FIELD_PATHS: {
+        ESTATE: 'root.city.estate',
+        RANK: 'root.city.rank lvl',
+        UBER: 'root.city.uber',
+        GAMEMODE: 'root.city.gamemode',
+        DSA_SUPPLIES: 'root.city._dsarocketprocentage',
+        NAME: 'root.city.name'
     },
 
     // Gamemode options
@@ -30,15 +30,18 @@ const BinaryFields = {
         0x07: { name: 'Double', size: 8, max: Number.MAX_VALUE, signed: true },    // Double - full 64-bit float range
         0x11: { name: 'Bool(true)', size: 0, max: 1, signed: false },
         0x12: { name: 'Bool(false)', size: 0, max: 1, signed: false },
-        0x16: { name: 'String', size: -1, max: null, signed: false }
+        0x16: { name: 'String', size: -1, max: null, signed: false },
+        0x05: { name: 'Null', size: 0, max: null, signed: false },
+        0x01: { name: 'Array', size: -1, max: null, signed: false },
+        0x03: { name: 'Object', size: -1, max: null, signed: false }
     },
 
+    // Types that can be edited directly in the raw tree browser
+    EDITABLE_TYPES: [0x0f, 0x0e, 0x08, 0x07, 0x10, 0x11, 0x12, 0x16],
+
     // Valid upgrade paths for estate field (Int16 → Int32 → Double)
-    // NOTE: Type upgrade is NOT safe in TheoTown's Binary JSON format!
-    // The format uses member indices (0x13 0x00) before each field in objects,
-    // and inserting bytes breaks the structure causing "Expected a name but was -1" errors.
-    // To get higher money limits, users should earn > 32767 in-game to trigger TheoTown's
-    // automatic type upgrade mechanism.
+    // Upgrading changes the value size; BinaryJson.setValue replaces the
+    // field's bytes and shifts the offsets of everything after it.
     UPGRADE_PATHS: {
         0x0e: 0x08,  // Int16 → Int32
         0x08: 0x07   // Int32 → Double (0x07 or 0x10)
@@ -95,153 +98,152 @@ const BinaryFields = {
 
     /**
      * Upgrade a field's type to accommodate larger values
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object} tree - Decoded Binary JSON tree (offsets are updated in place)
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} field - Field node from findField
      * @param {number} newType - Target type byte
      * @param {number} currentValue - Current value to preserve
-     * @returns {Uint8Array|null} New binary data or null on failure
+     * @returns {boolean} Success status
      */
-    upgradeFieldType(data, field, newType, currentValue) {
-        if (!field) return null;
+    upgradeFieldType(tree, data, field, newType, currentValue) {
+        if (!tree || !field) return false;
         
         const oldTypeInfo = this.getTypeInfo(field.type);
         const newTypeInfo = this.getTypeInfo(newType);
         
-        if (!oldTypeInfo || !newTypeInfo) return null;
-        if (oldTypeInfo.size < 0 || newTypeInfo.size < 0) return null; // Can't upgrade variable-length types
-        
-        const sizeDiff = newTypeInfo.size - oldTypeInfo.size;
-        if (sizeDiff <= 0) return null; // Only upgrade to larger types
-        
-        // Calculate positions
-        const beforeField = data.slice(0, field.typeOffset);
-        const afterValue = data.slice(field.valueOffset + oldTypeInfo.size);
+        if (!oldTypeInfo || !newTypeInfo) return false;
+        if (oldTypeInfo.size < 0 || newTypeInfo.size < 0) return false; // Can't upgrade variable-length types
+        if (newTypeInfo.size <= oldTypeInfo.size) return false; // Only upgrade to larger types
         
-        // Build new array
-        const newData = new Uint8Array(data.length + sizeDiff);
-        let offset = 0;
-        
-        // Copy everything before type byte
-        newData.set(beforeField, offset);
-        offset += beforeField.length;
-        
-        // Write new type byte
-        newData[offset] = newType;
-        offset += 1;
-        
-        // Write value with new type
+        let value = currentValue;
         if (newType === 0x08) {
-            // Int32 (4 bytes, big-endian)
-            const val = Math.max(0, Math.min(2147483647, Math.floor(currentValue)));
-            newData[offset] = (val >> 24) & 0xFF;
-            newData[offset + 1] = (val >> 16) & 0xFF;
-            newData[offset + 2] = (val >> 8) & 0xFF;
-            newData[offset + 3] = val & 0xFF;
-            offset += 4;
-        } else if (newType === 0x07) {
-            // Double (8 bytes, big-endian)
-            const buffer = new ArrayBuffer(8);
-            const view = new DataView(buffer);
-            view.setFloat64(0, currentValue, false);
-            const bytes = new Uint8Array(buffer);
-            for (let i = 0; i < 8; i++) {
-                newData[offset + i] = bytes[i];
-            }
-            offset += 8;
-        } else {
-            return null; // Unsupported target type
+            value = Math.max(0, Math.min(2147483647, Math.floor(currentValue)));
+        } else if (newType !== 0x07) {
+            return false; // Unsupported target type
         }
         
-        // Copy everything after old value
-        newData.set(afterValue, offset);
-        
-        return newData;
+        // Field is a tree node, so its offsets follow the new layout
+        return BinaryJson.setValue(tree, data, field, newType, value);
+    },
+
+    /**
+     * Find a binary field by its structural path
+     * @param {Object} tree - Decoded Binary JSON tree
+     * @param {string} path - Field path (e.g. 'root.city.name')
+     * @returns {Object} { field, matches } - field is the tree node, or null
+     *   unless the path resolves to exactly one primitive node
+     */
+    findField(tree, path) {
+        const nodes = BinaryJson.select(tree, path);
+        const field = nodes.length === 1 && !nodes[0].children ? nodes[0] : null;
+        return { field, matches: nodes.length };
     },
 
     /**
-     * Find a binary field by name
-     * @param {Uint8Array} data - Binary data
-     * @param {string} fieldName - Field name to find
-     * @returns {Object|null} Field info with nameOffset, typeOffset, valueOffset, type
+     * Find all relevant fields in the decoded tree
+     * All paths are resolved in a single walk that only descends into
+     * containers some field path runs through.
+     * @param {Object|null} tree - Decoded Binary JSON tree
+     * @returns {Object} { fields, issues } - fields maps keys of FIELD_PATHS to
+     *   tree nodes; issues lists { key, path, problem, matches } for every path
+     *   that is missing, ambiguous or not a primitive value
      */
-    findField(data, fieldName) {
-        const pattern = new TextEncoder().encode(fieldName);
+    findAllFields(tree) {
+        const fields = {};
+        const issues = [];
         
-        for (let i = 0; i < data.length - pattern.length - 2; i++) {
-            // Check length byte
-            if (data[i] !== pattern.length) continue;
-            
-            // Check field name
-            let match = true;
-            for (let j = 0; j < pattern.length; j++) {
-                if (data[i + 1 + j] !== pattern[j]) {
-                    match = false;
-                    break;
-                }
+        // Canonical path of each field, and every container on the way to it
+        const targets = {};
+        const prefixes = new Set(['root']);
+        for (const [key, path] of Object.entries(this.FIELD_PATHS)) {
+            let prefix = 'root';
+            for (const segment of BinaryJson.parsePath(path) || []) {
+                prefix = BinaryJson.joinPath(prefix, segment);
+                prefixes.add(prefix);
+            }
+            targets[key] = prefix;
+        }
+        
+        const matches = {};
+        BinaryJson.walk(tree, (node) => {
+            if (!prefixes.has(node.path)) return false;
+            (matches[node.path] = matches[node.path] || []).push(node);
+        });
+        
+        for (const [key, path] of Object.entries(this.FIELD_PATHS)) {
+            if (!tree) {
+                issues.push({ key, path, problem: 'undecoded', matches: 0 });
+                continue;
             }
             
-            if (match) {
-                const typeOffset = i + 1 + pattern.length;
-                const typeByte = data[typeOffset];
-                
-                // Determine value offset based on type
-                let valueOffset = typeOffset + 1;
-                
-                // Bool types (0x11, 0x12) have NO value byte - the type IS the value
-                if (typeByte === 0x11 || typeByte === 0x12) {
-                    valueOffset = typeOffset; // Value is the type byte itself
-                }
-                
-                return {
-                    nameOffset: i,
-                    typeOffset: typeOffset,
-                    valueOffset: valueOffset,
-                    type: typeByte,
-                    fieldName: fieldName
-                };
+            const nodes = matches[targets[key]] || [];
+            if (nodes.length === 1 && !nodes[0].children) {
+                fields[key] = nodes[0];
+            } else if (nodes.length === 0) {
+                issues.push({ key, path, problem: 'missing', matches: 0 });
+            } else if (nodes.length > 1) {
+                issues.push({ key, path, problem: 'ambiguous', matches: nodes.length });
+            } else {
+                issues.push({ key, path, problem: 'not-a-value', matches: 1 });
             }
         }
         
-        return null;
+        return { fields, issues };
     },
 
     /**
-     * Find all relevant fields in binary data
-     * @param {Uint8Array} data - Binary data
-     * @returns {Object} Map of field names to field info
+     * Describe a field lookup issue for display
+     * @param {Object} issue - Issue from findAllFields
+     * @returns {string} Human-readable description
      */
-    findAllFields(data) {
-        const fields = {};
-        
-        for (const [key, name] of Object.entries(this.FIELD_NAMES)) {
-            const field = this.findField(data, name);
-            if (field) {
-                fields[key] = field;
-            }
+    describeIssue(issue) {
+        switch (issue.problem) {
+            case 'undecoded':
+                return `${issue.path}: save structure could not be decoded`;
+            case 'missing':
+                return `${issue.path}: not found`;
+            case 'ambiguous':
+                return `${issue.path}: ambiguous (${issue.matches} matches)`;
+            default:
+                return `${issue.path}: not an editable value`;
         }
+    },
+
+    /**
+     * Read the value of a known field
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {string} key - Key of FIELD_PATHS
+     * @param {Object} field - Field node from findField
+     * @returns {*} Value, or null if the field is missing
+     */
+    readField(data, key, field) {
+        if (!field) return null;
         
-        return fields;
+        switch (key) {
+            case 'ESTATE': return this.readEstate(data, field);
+            case 'RANK': return this.readRank(data, field);
+            case 'UBER': return this.readUber(data, field);
+            case 'GAMEMODE': return this.readGamemode(data, field);
+            case 'DSA_SUPPLIES': return this.readDsaSupplies(data, field);
+            case 'NAME': return this.readName(data, field);
+            default: return null;
+        }
     },
 
     /**
      * Read estate (money) value
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {Object} field - Field node from findField
      * @returns {number|null} Estate value
      */
     readEstate(data, field) {
         if (!field) return null;
         
+        const bytes = PieceBuffer.read(data, field.valueOffset, field.end);
         if (field.type === 0x07 || field.type === 0x10) {
             // Double (8 bytes, big-endian)
             // Type 0x07 and 0x10 are both Double types in TheoTown's binary format
-            const buffer = new ArrayBuffer(8);
-            const bytes = new Uint8Array(buffer);
-            for (let i = 0; i < 8; i++) {
-                bytes[i] = data[field.valueOffset + i];
-            }
-            const view = new DataView(buffer);
-            const value = view.getFloat64(0, false);
+            const value = BinaryUtils.readFloat64BE(bytes, 0);
             
             // Store original value for reference
             field._originalValue = value;
@@ -249,21 +251,18 @@ const BinaryFields = {
             return value;
         } else if (field.type === 0x08) {
             // Int32 (4 bytes, big-endian)
-            return (data[field.valueOffset] << 24) |
-                   (data[field.valueOffset + 1] << 16) |
-                   (data[field.valueOffset + 2] << 8) |
-                   data[field.valueOffset + 3];
+            return BinaryUtils.readInt32BE(bytes, 0);
         } else if (field.type === 0x0e) {
             // Int16 (2 bytes, big-endian) - used in some save versions
-            return (data[field.valueOffset] << 8) | data[field.valueOffset + 1];
+            return BinaryUtils.readInt16BE(bytes, 0);
         }
         return null;
     },
 
     /**
      * Write estate (money) value
-     * @param {Uint8Array} data - Binary data (modified in place)
-     * @param {Object} field - Field info from findField
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} field - Field node from findField
      * @param {number} value - New value
      */
     writeEstate(data, field, value) {
@@ -272,51 +271,42 @@ const BinaryFields = {
         if (field.type === 0x07 || field.type === 0x10) {
             // Double (8 bytes, big-endian)
             // Type 0x07 and 0x10 are both Double types in TheoTown's binary format
-            const buffer = new ArrayBuffer(8);
-            const view = new DataView(buffer);
-            view.setFloat64(0, value, false);
-            const bytes = new Uint8Array(buffer);
-            for (let i = 0; i < 8; i++) {
-                data[field.valueOffset + i] = bytes[i];
-            }
+            PieceBuffer.write(data, field.valueOffset, BinaryJson.encodeValue(field.type, value));
         } else if (field.type === 0x08) {
             // Int32 (4 bytes, big-endian)
             value = Math.max(0, Math.min(2147483647, Math.floor(value)));
-            data[field.valueOffset] = (value >> 24) & 0xFF;
-            data[field.valueOffset + 1] = (value >> 16) & 0xFF;
-            data[field.valueOffset + 2] = (value >> 8) & 0xFF;
-            data[field.valueOffset + 3] = value & 0xFF;
+            PieceBuffer.write(data, field.valueOffset, BinaryJson.encodeValue(0x08, value));
         } else if (field.type === 0x0e) {
             // Int16 (2 bytes, big-endian) - used in some save versions
             value = Math.max(0, Math.min(32767, Math.floor(value)));
-            data[field.valueOffset] = (value >> 8) & 0xFF;
-            data[field.valueOffset + 1] = value & 0xFF;
+            PieceBuffer.write(data, field.valueOffset, BinaryJson.encodeValue(0x0e, value));
         }
     },
 
     /**
      * Read rank value
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {Object} field - Field node from findField
      * @returns {number|null} Rank value
      */
     readRank(data, field) {
         if (!field) return null;
         
+        const bytes = PieceBuffer.read(data, field.valueOffset, field.end);
         if (field.type === 0x0e) {
             // Int16 (2 bytes)
-            return (data[field.valueOffset] << 8) | data[field.valueOffset + 1];
+            return BinaryUtils.readInt16BE(bytes, 0);
         } else if (field.type === 0x0f) {
             // Int8 (1 byte)
-            return data[field.valueOffset];
+            return bytes[0];
         }
         return null;
     },
 
     /**
      * Write rank value
-     * @param {Uint8Array} data - Binary data (modified in place)
-     * @param {Object} field - Field info from findField
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} field - Field node from findField
      * @param {number} value - New value (0-64)
      */
     writeRank(data, field, value) {
@@ -324,20 +314,16 @@ const BinaryFields = {
         
         value = Math.max(0, Math.min(this.MAX_RANK, value));
         
-        if (field.type === 0x0e) {
-            // Int16 (2 bytes)
-            data[field.valueOffset] = (value >> 8) & 0xFF;
-            data[field.valueOffset + 1] = value & 0xFF;
-        } else if (field.type === 0x0f) {
-            // Int8 (1 byte)
-            data[field.valueOffset] = value & 0xFF;
+        if (field.type === 0x0e || field.type === 0x0f) {
+            // Int16 (2 bytes) or Int8 (1 byte)
+            PieceBuffer.write(data, field.valueOffset, BinaryJson.encodeValue(field.type, value));
         }
     },
 
     /**
      * Read uber mode value
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {Object} field - Field node from findField
      * @returns {boolean|null} Uber mode value
      */
     readUber(data, field) {
@@ -348,183 +334,101 @@ const BinaryFields = {
 
     /**
      * Write uber mode value (toggle)
-     * @param {Uint8Array} data - Binary data (modified in place)
-     * @param {Object} field - Field info from findField
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} field - Field node from findField
      * @param {boolean} value - New value
      */
     writeUber(data, field, value) {
         if (!field) return;
         // Just change the type byte: 0x11 = TRUE, 0x12 = FALSE
-        data[field.typeOffset] = value ? 0x11 : 0x12;
+        field.type = value ? 0x11 : 0x12;
+        PieceBuffer.write(data, field.typeOffset, [field.type]);
     },
 
     /**
      * Read gamemode value (string)
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {Object} field - Field node from findField
      * @returns {string|null} Gamemode string
      */
     readGamemode(data, field) {
         if (!field || field.type !== 0x16) return null; // Must be string
         
         // String format: [type][length_int16_BE][string_bytes]
-        const strLen = (data[field.valueOffset] << 8) | data[field.valueOffset + 1];
-        const strBytes = data.slice(field.valueOffset + 2, field.valueOffset + 2 + strLen);
-        return new TextDecoder('utf-8').decode(strBytes);
+        return BinaryUtils.readString(PieceBuffer.read(data, field.valueOffset, field.end), 0);
     },
 
     /**
      * Read DSA supplies value
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {Object} field - Field node from findField
      * @returns {number|null} DSA supplies value
      */
     readDsaSupplies(data, field) {
         if (!field || field.type !== 0x0e) return null; // Must be int16
-        return (data[field.valueOffset] << 8) | data[field.valueOffset + 1];
+        return BinaryUtils.readInt16BE(PieceBuffer.read(data, field.valueOffset, field.end), 0);
     },
 
     /**
      * Write DSA supplies value
-     * @param {Uint8Array} data - Binary data (modified in place)
-     * @param {Object} field - Field info from findField
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} field - Field node from findField
      * @param {number} value - New value (0-32767)
      */
     writeDsaSupplies(data, field, value) {
         if (!field || field.type !== 0x0e) return;
         
         value = Math.max(0, Math.min(32767, value));
-        data[field.valueOffset] = (value >> 8) & 0xFF;
-        data[field.valueOffset + 1] = value & 0xFF;
+        PieceBuffer.write(data, field.valueOffset, BinaryJson.encodeValue(0x0e, value));
     },
 
     /**
      * Write gamemode value (handles variable length strings)
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object} tree - Decoded Binary JSON tree (later offsets are shifted)
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} field - Field node from findField
      * @param {string} newGamemode - New gamemode string
-     * @returns {Uint8Array|null} New binary data array (or null on failure)
+     * @returns {boolean} Success status
      */
-    writeGamemode(data, field, newGamemode) {
-        if (!field || field.type !== 0x16) return null;
+    writeGamemode(tree, data, field, newGamemode) {
+        if (!field || field.type !== 0x16) return false;
         
         // Validate gamemode
-        if (!this.GAMEMODES.includes(newGamemode)) return null;
-        
-        // Read current string length
-        const currentLen = (data[field.valueOffset] << 8) | data[field.valueOffset + 1];
-        const newLen = newGamemode.length;
-        const lenDiff = newLen - currentLen;
+        if (!this.GAMEMODES.includes(newGamemode)) return false;
         
-        // Encode new gamemode
-        const newGamemodeBytes = new TextEncoder().encode(newGamemode);
-        
-        if (lenDiff === 0) {
-            // Same length - simple replace in-place
-            for (let i = 0; i < newLen; i++) {
-                data[field.valueOffset + 2 + i] = newGamemodeBytes[i];
-            }
-            return data;
-        } else {
-            // Different length - need to rebuild the array
-            const beforeString = data.slice(0, field.valueOffset);
-            const afterString = data.slice(field.valueOffset + 2 + currentLen);
-            
-            // Build new data
-            const newData = new Uint8Array(data.length + lenDiff);
-            let offset = 0;
-            
-            // Copy before
-            newData.set(beforeString, offset);
-            offset += beforeString.length;
-            
-            // Write new length
-            newData[offset] = (newLen >> 8) & 0xFF;
-            newData[offset + 1] = newLen & 0xFF;
-            offset += 2;
-            
-            // Write new string
-            newData.set(newGamemodeBytes, offset);
-            offset += newLen;
-            
-            // Copy after
-            newData.set(afterString, offset);
-            
-            return newData;
-        }
+        return BinaryJson.setValue(tree, data, field, 0x16, newGamemode);
     },
 
     /**
      * Read city name value
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object|Uint8Array} data - PieceBuffer or binary data
+     * @param {Object} field - Field node from findField
      * @returns {string|null} City name string
      */
     readName(data, field) {
         if (!field || field.type !== 0x16) return null; // Must be string
         
         // String format: [type][length_int16_BE][string_bytes]
-        const strLen = (data[field.valueOffset] << 8) | data[field.valueOffset + 1];
-        const strBytes = data.slice(field.valueOffset + 2, field.valueOffset + 2 + strLen);
-        return new TextDecoder('utf-8').decode(strBytes);
+        return BinaryUtils.readString(PieceBuffer.read(data, field.valueOffset, field.end), 0);
     },
 
     /**
      * Write city name value (replaces string, handles length difference)
-     * @param {Uint8Array} data - Binary data
-     * @param {Object} field - Field info from findField
+     * @param {Object} tree - Decoded Binary JSON tree (later offsets are shifted)
+     * @param {Object} data - PieceBuffer holding the payload (modified in place)
+     * @param {Object} field - Field node from findField
      * @param {string} newName - New city name
-     * @returns {Uint8Array|null} New binary data array (or null on failure)
+     * @returns {boolean} Success status
      */
-    writeName(data, field, newName) {
-        if (!field || field.type !== 0x16) return null;
+    writeName(tree, data, field, newName) {
+        if (!field || field.type !== 0x16) return false;
         
         // Limit name length to prevent issues
         if (newName.length > 255) {
             newName = newName.substring(0, 255);
         }
         
-        // Read current string length
-        const currentLen = (data[field.valueOffset] << 8) | data[field.valueOffset + 1];
-        const newLen = newName.length;
-        const lenDiff = newLen - currentLen;
-        
-        // Encode new name
-        const newNameBytes = new TextEncoder().encode(newName);
-        
-        if (lenDiff === 0) {
-            // Same length - simple replace
-            for (let i = 0; i < newLen; i++) {
-                data[field.valueOffset + 2 + i] = newNameBytes[i];
-            }
-            return data;
-        } else {
-            // Different length - need to rebuild the array
-            const beforeString = data.slice(0, field.valueOffset);
-            const afterString = data.slice(field.valueOffset + 2 + currentLen);
-            
-            // Build new data
-            const newData = new Uint8Array(data.length + lenDiff);
-            let offset = 0;
-            
-            // Copy before
-            newData.set(beforeString, offset);
-            offset += beforeString.length;
-            
-            // Write new length
-            newData[offset] = (newLen >> 8) & 0xFF;
-            newData[offset + 1] = newLen & 0xFF;
-            offset += 2;
-            
-            // Write new string
-            newData.set(newNameBytes, offset);
-            offset += newLen;
-            
-            // Copy after
-            newData.set(afterString, offset);
-            
-            return newData;
-        }
+        return BinaryJson.setValue(tree, data, field, 0x16, newName);
     }
 };
 
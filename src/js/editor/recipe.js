@@ -0,0 +1,181 @@
+/**
+ * TheoTown Save Editor - Edit Recipes
+ * Portable lists of field operations that can be applied to any city
+ *
+ * Recipe: { format, version, name, created, operations: [{ op, field, value }] }
+ * - op is 'set', 'add', 'multiply' or 'toggle' (toggle takes no value)
+ * - field is a name used by CityManager.applyValue ('money', 'rank', 'name',
+ *   'gamemode', 'uber', 'dsaSupplies'), a node path ('root…') or a header
+ *   key path ('header.…')
+ *
+ * CityManager.applyRecipe validates and applies a recipe as one transaction.
+ */
+
+const EditRecipe = {
+    FORMAT: 'theotown-save-editor-recipe',
+    // Recipes with a newer version are refused
+    VERSION: 1,
+
+    OPERATIONS: ['set', 'add', 'multiply', 'toggle'],
+
+    /**
+     * Create a recipe
+     * @param {string} name - Recipe name
+     * @param {Array<Object>} operations - { op, field, value }
+     * @returns {Object} Recipe
+     */
+    create(name, operations) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            name,
+            created: new Date().toISOString(),
+            operations
+        };
+    },
+
+    /**
+     * Build a recipe that sets every field the applied history entries changed
+     * Undone entries are left out; a field changed several times is set once,
+     * to its latest value.
+     * @param {string} name - Recipe name
+     * @returns {Object} Recipe
+     */
+    fromHistory(name) {
+        const values = new Map();
+        for (const action of HistoryManager.getState().undoStack) {
+            for (const step of action.steps || [action]) {
+                const value = step.newValue;
+                if (value === undefined || value === null || typeof value === 'object') continue;
+                values.set(step.field, value);
+            }
+        }
+
+        const operations = [...values].map(([field, value]) => ({ op: 'set', field, value }));
+        return this.create(name, operations);
+    },
+
+    /**
+     * Serialize a recipe for download
+     * @param {Object} recipe - Recipe
+     * @returns {string} JSON text
+     */
+    stringify(recipe) {
+        return JSON.stringify(recipe, null, 2);
+    },
+
+    /**
+     * Read and check a recipe file
+     * @param {string} text - JSON text
+     * @returns {Object} Recipe
+     * @throws {Error} If the text is not a recipe this version can apply
+     */
+    parse(text) {
+        let recipe;
+        try {
+            recipe = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Recipe is not valid JSON: ' + e.message);
+        }
+
+        if (!recipe || recipe.format !== this.FORMAT) {
+            throw new Error('Not an edit recipe');
+        }
+        if (!Number.isInteger(recipe.version) || recipe.version < 1) {
+            throw new Error('Recipe has no valid version');
+        }
+        if (recipe.version > this.VERSION) {
+            throw new Error(`Recipe version ${recipe.version} is newer than this editor supports (${this.VERSION})`);
+        }
+        if (!Array.isArray(recipe.operations)) {
+            throw new Error('Recipe has no operations list');
+        }
+
+        recipe.operations.forEach((operation, i) => {
+            const problem = this.checkOperation(operation);
+            if (problem) {
+                throw new Error(`Operation ${i + 1}: ${problem}`);
+            }
+        });
+
+        return {
+            ...recipe,
+            name: typeof recipe.name === 'string' && recipe.name.trim() ? recipe.name : 'Recipe'
+        };
+    },
+
+    /**
+     * Check the shape of an operation (values are validated when applied)
+     * @param {Object} operation - Operation
+     * @returns {string|null} Problem, or null if the operation is well-formed
+     */
+    checkOperation(operation) {
+        if (!operation || typeof operation !== 'object') return 'must be an object';
+        if (!this.OPERATIONS.includes(operation.op)) {
+            return `unknown op ${JSON.stringify(operation.op)} (use ${this.OPERATIONS.join(', ')})`;
+        }
+        if (typeof operation.field !== 'string' || operation.field.length === 0) return 'has no field';
+
+        switch (operation.op) {
+            case 'set':
+                if (!['number', 'string', 'boolean'].includes(typeof operation.value)) {
+                    return 'set needs a number, text or true/false value';
+                }
+                return null;
+            case 'add':
+            case 'multiply':
+                if (typeof operation.value !== 'number' || !isFinite(operation.value)) {
+                    return `${operation.op} needs a number value`;
+                }
+                return null;
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Compute the value an operation produces
+     * @param {Object} operation - Operation
+     * @param {*} current - Current value of the field
+     * @returns {Object} { value } or { error }
+     */
+    evaluate(operation, current) {
+        switch (operation.op) {
+            case 'set':
+                return { value: operation.value };
+            case 'add':
+            case 'multiply':
+                if (typeof current !== 'number') {
+                    return { error: `Field is a ${typeof current}, not a number` };
+                }
+                return { value: operation.op === 'add' ? current + operation.value : current * operation.value };
+            case 'toggle':
+                if (typeof current !== 'boolean') {
+                    return { error: `Field is a ${typeof current}, not true/false` };
+                }
+                return { value: !current };
+            default:
+                return { error: `Unknown op ${operation.op}` };
+        }
+    },
+
+    /**
+     * Describe an operation for reports
+     * @param {Object} operation - Operation
+     * @returns {string} E.g. 'money × 2'
+     */
+    describe(operation) {
+        const value = JSON.stringify(operation.value);
+        switch (operation.op) {
+            case 'set': return `${operation.field} = ${value}`;
+            case 'add': return `${operation.field} ${operation.value < 0 ? '-' : '+'} ${Math.abs(operation.value)}`;
+            case 'multiply': return `${operation.field} × ${value}`;
+            default: return `toggle ${operation.field}`;
+        }
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EditRecipe;
+}
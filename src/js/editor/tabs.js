@@ -0,0 +1,148 @@
+/**
+ * TheoTown Save Editor - City Tabs
+ * Several open cities, one of them active in CityManager
+ *
+ * CityManager and HistoryManager hold the active city only. Every other
+ * tab keeps the state from CityManager.getState (city data, fields,
+ * history, dirty flag and backup id), which is swapped back in when the
+ * tab becomes active. A tab also carries a view object owned by the UI
+ * (tree expansion, hex selection...).
+ *
+ * Tab: { id, state, view } - state is null while the tab is active
+ */
+
+const CityTabs = {
+    tabs: [],
+    activeId: null,
+    // Tab to return to when opening a city in a new tab fails
+    lastActiveId: null,
+    nextId: 1,
+
+    /**
+     * Add a tab for the city that is open in CityManager and make it active
+     * Call detach() before loading the city, or the active tab's city is lost.
+     * @returns {number} Tab id
+     */
+    add() {
+        const tab = { id: this.nextId++, state: null, view: null };
+        this.tabs.push(tab);
+        this.activeId = tab.id;
+        return tab.id;
+    },
+
+    /**
+     * Put the active city away so that CityManager can load another one
+     * Afterwards no tab is active and CityManager is empty.
+     */
+    detach() {
+        const tab = this.getActive();
+        if (!tab) return;
+
+        tab.state = CityManager.getState();
+        this.lastActiveId = tab.id;
+        this.activeId = null;
+        CityManager.clear();
+        if (typeof HistoryManager !== 'undefined') HistoryManager.clear();
+    },
+
+    /**
+     * Make a tab active, putting the current one away
+     * @param {number} id - Tab id
+     * @returns {boolean} Whether the active tab changed
+     */
+    activate(id) {
+        const tab = this.tabs.find(t => t.id === id);
+        if (!tab || id === this.activeId) return false;
+
+        this.detach();
+        CityManager.setState(tab.state);
+        tab.state = null;
+        this.activeId = id;
+        return true;
+    },
+
+    /**
+     * Return to the tab that was active before the last detach()
+     * Used when loading a city into a new tab failed.
+     * @returns {boolean} Whether a tab was activated
+     */
+    restore() {
+        if (this.activeId !== null) return false;
+        const tab = this.tabs.find(t => t.id === this.lastActiveId) || this.tabs[this.tabs.length - 1];
+        return tab ? this.activate(tab.id) : false;
+    },
+
+    /**
+     * Close a tab
+     * Closing the active tab empties CityManager; the caller activates the
+     * returned neighbour.
+     * @param {number} id - Tab id
+     * @returns {number|null} Tab to show next (the active one if another tab
+     *   was closed), or null if no tab is left
+     */
+    close(id) {
+        const index = this.tabs.findIndex(t => t.id === id);
+        if (index < 0) return this.activeId;
+
+        this.tabs.splice(index, 1);
+        if (id !== this.activeId) return this.activeId;
+
+        this.activeId = null;
+        CityManager.clear();
+        if (typeof HistoryManager !== 'undefined') HistoryManager.clear();
+        const next = this.tabs[Math.min(index, this.tabs.length - 1)];
+        return next ? next.id : null;
+    },
+
+    /**
+     * Get the active tab
+     * @returns {Object|null} Tab
+     */
+    getActive() {
+        return this.tabs.find(t => t.id === this.activeId) || null;
+    },
+
+    /**
+     * Capture the working session of a tab's city
+     * @param {number} id - Tab id
+     * @returns {Object|null} Session from CityManager.getSession, or null if
+     *   the tab is closed
+     */
+    getSession(id) {
+        const tab = this.tabs.find(t => t.id === id);
+        if (!tab) return null;
+        return id === this.activeId ? CityManager.getSession() : CityManager.getSession(tab.state);
+    },
+
+    /**
+     * Keep new tab ids clear of the given ones (e.g. the keys of stored sessions)
+     * @param {Array<number|string>} ids - Ids in use
+     */
+    reserveIds(ids) {
+        for (const id of ids) {
+            if (Number.isInteger(id) && id >= this.nextId) this.nextId = id + 1;
+        }
+    },
+
+    /**
+     * Summarize the tabs for the tab bar
+     * @returns {Array<Object>} { id, fileName, cityName, hasChanges, active }
+     */
+    list() {
+        return this.tabs.map(tab => {
+            const state = tab.id === this.activeId ? CityManager : tab.state;
+            return {
+                id: tab.id,
+                fileName: state.fileName,
+                cityName: state.currentCity ? state.currentCity.header.name : null,
+                hasChanges: state.hasChanges,
+                active: tab.id === this.activeId
+            };
+        });
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CityTabs;
+}
@@ -0,0 +1,108 @@
+/**
+ * TheoTown Save Editor - Save Verifier
+ * Reads a serialized .city file back and checks it against the in-memory city
+ */
+
+const SaveVerifier = {
+    /**
+     * Verify serialized file data before it is downloaded
+     * @param {Uint8Array} fileData - Output of FileParser.serialize
+     * @param {Object} cityData - City data that was serialized
+     * @param {Object} binaryFields - Field nodes of the in-memory city
+     * @param {Function} [onProgress] - Progress callback for ParseWorker
+     * @returns {Promise<Object>} Report { ok, errors, checks }
+     */
+    async verify(fileData, cityData, binaryFields, onProgress) {
+        const errors = [];
+        const checks = [];
+
+        // 1. The file must parse
+        let readBack;
+        try {
+            readBack = await ParseWorker.parse(fileData.slice().buffer, onProgress);
+            checks.push('File parses');
+        } catch (e) {
+            if (e.cancelled) throw e;
+            errors.push(`Saved file cannot be read back: ${e.message}`);
+            return { ok: false, errors, checks };
+        }
+        const parsed = readBack.cityData;
+
+        // 2. Header reads back exactly
+        const headerDiffs = this.diffHeader(cityData.header, parsed.header);
+        if (headerDiffs.length > 0) {
+            headerDiffs.forEach(key => errors.push(`Header ${key} changed during save`));
+        } else {
+            checks.push('Header matches');
+        }
+
+        // 3. Payload reads back byte for byte
+        const expected = cityData.binaryData;
+        const actual = parsed.binaryData;
+        if (expected.length !== actual.length) {
+            errors.push(`Binary size changed during save: ${expected.length} → ${actual.length} bytes`);
+        } else {
+            const offset = this.firstDifference(expected, actual);
+            if (offset >= 0) {
+                const node = BinaryJson.nodeAtOffset(cityData.tree, offset);
+                errors.push(`Binary differs at offset ${offset}` + (node ? ` (${node.path})` : ''));
+            } else {
+                checks.push('Binary matches');
+            }
+        }
+
+        // 4. Structure decodes and every field reads back as edited
+        if (!parsed.tree) {
+            errors.push(`Saved structure cannot be decoded: ${readBack.treeError}`);
+            return { ok: false, errors, checks };
+        }
+        checks.push('Structure decodes');
+
+        const fields = readBack.fields;
+        for (const key of Object.keys(BinaryFields.FIELD_PATHS)) {
+            const want = BinaryFields.readField(expected, key, binaryFields[key]);
+            const got = BinaryFields.readField(actual, key, fields[key]);
+            if (want !== got) {
+                errors.push(`${BinaryFields.FIELD_PATHS[key]}: expected ${JSON.stringify(want)}, read back ${JSON.stringify(got)}`);
+            }
+        }
+        if (errors.length === 0) {
+            checks.push('All fields read back as edited');
+        }
+
+        return { ok: errors.length === 0, errors, checks };
+    },
+
+    /**
+     * List header keys whose values differ (compared as JSON)
+     * @param {Object} expected - Expected header
+     * @param {Object} actual - Header read back
+     * @returns {string[]} Differing keys
+     */
+    diffHeader(expected, actual) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        return [...keys].filter(key => JSON.stringify(expected[key]) !== JSON.stringify(actual[key]));
+    },
+
+    /**
+     * Find the first byte where a buffer differs from an equal-length array
+     * @param {Object} buffer - PieceBuffer
+     * @param {Uint8Array} data - Array to compare with
+     * @returns {number} Offset, or -1 if identical
+     */
+    firstDifference(buffer, data) {
+        let pos = 0;
+        for (const chunk of PieceBuffer.chunks(buffer)) {
+            for (let i = 0; i < chunk.length; i++) {
+                if (chunk[i] !== data[pos + i]) return pos + i;
+            }
+            pos += chunk.length;
+        }
+        return -1;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveVerifier;
+}
@@ -0,0 +1,260 @@
+/**
+ * TheoTown Save Editor - Parse Worker
+ * Runs decompression, structural indexing and recompression in a Web Worker
+ *
+ * The worker script is assembled at runtime from the modules the page already
+ * loaded (see createSource), so the single-file build needs no extra files.
+ * Without Worker support every task runs on the main thread instead.
+ */
+
+const ParseWorker = {
+    worker: null,
+    workerUrl: null,
+    // Set when the worker cannot start; tasks then stay on the main thread
+    disabled: false,
+    nextId: 1,
+    // Pending tasks by id: { resolve, reject, onProgress }
+    pending: {},
+
+    /**
+     * Decompress and index a .city file
+     * @param {ArrayBuffer} buffer - Raw file data (transferred to the worker)
+     * @param {Function} [onProgress] - Called with { phase, fraction }
+     * @returns {Promise<Object>} { cityData, fields, issues } - cityData.tree is the
+     *   decoded tree (null if decoding failed), treeError the reason
+     */
+    parse(buffer, onProgress) {
+        return this.run({ type: 'parse', buffer }, [buffer], onProgress);
+    },
+
+    /**
+     * Serialize city data, compressing in the worker
+     * @param {Object} cityData - City data with header and binaryData (a PieceBuffer)
+     * @param {Object} [options] - Options for FileParser.serialize
+     * @param {Function} [onProgress] - Called with { phase, fraction }
+     * @returns {Promise<Uint8Array>} Serialized file data
+     */
+    async serialize(cityData, options, onProgress) {
+        const { headerBytes, compressed, gzipOptions } = FileParser.prepareSerialize(cityData, options);
+        if (compressed) {
+            return FileParser.buildFile(headerBytes, compressed);
+        }
+
+        const data = PieceBuffer.toArray(cityData.binaryData);
+        const gzip = await this.run({ type: 'compress', data, gzipOptions }, [data.buffer], onProgress);
+        return FileParser.buildFile(headerBytes, gzip);
+    },
+
+    /**
+     * Stop all running tasks; their promises reject with err.cancelled set
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const id of Object.keys(this.pending)) {
+            this.pending[id].reject(this.cancelledError());
+        }
+        this.pending = {};
+    },
+
+    /**
+     * Create the error cancelled tasks reject with
+     * @returns {Error} Error with cancelled = true
+     */
+    cancelledError() {
+        const err = new Error('Cancelled');
+        err.cancelled = true;
+        return err;
+    },
+
+    /**
+     * Send a task to the worker, or run it here if workers are unavailable
+     * @param {Object} message - { type, ... }
+     * @param {Transferable[]} transfer - Buffers to transfer
+     * @param {Function} [onProgress] - Progress callback
+     * @returns {Promise<*>} Task result
+     */
+    run(message, transfer, onProgress) {
+        const id = this.nextId++;
+        const worker = this.getWorker();
+
+        if (!worker) {
+            const progress = (phase, fraction) => onProgress && onProgress({ phase, fraction });
+            return new Promise((resolve, reject) => {
+                this.pending[id] = { resolve, reject, onProgress };
+                this.runTask(message, progress).then(
+                    result => { if (this.pending[id]) { delete this.pending[id]; resolve(result); } },
+                    err => { if (this.pending[id]) { delete this.pending[id]; reject(err); } }
+                );
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending[id] = { resolve, reject, onProgress };
+            worker.postMessage(Object.assign({ id }, message), transfer);
+        });
+    },
+
+    /**
+     * Start the worker on first use
+     * @returns {Worker|null} Worker, or null to run tasks on the main thread
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (this.disabled || typeof Worker === 'undefined' || typeof URL === 'undefined') {
+            return null;
+        }
+
+        try {
+            if (!this.workerUrl) {
+                const blob = new Blob([this.createSource()], { type: 'text/javascript' });
+                this.workerUrl = URL.createObjectURL(blob);
+            }
+            this.worker = new Worker(this.workerUrl);
+        } catch (e) {
+            console.warn('Parse worker unavailable, using main thread:', e.message);
+            this.disabled = true;
+            return null;
+        }
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            // Scripts failed to load (e.g. offline); fall back for good
+            console.warn('Parse worker failed, using main thread:', e.message);
+            e.preventDefault();
+            const pending = this.pending;
+            this.pending = {};
+            this.worker.terminate();
+            this.worker = null;
+            this.disabled = true;
+            for (const task of Object.values(pending)) {
+                task.reject(new Error('Worker failed: ' + e.message));
+            }
+        };
+        return this.worker;
+    },
+
+    /**
+     * Route a message from the worker to its task
+     * @param {Object} message - { id, type: 'progress'|'result'|'error', ... }
+     */
+    handleMessage(message) {
+        const task = this.pending[message.id];
+        if (!task) return;
+
+        if (message.type === 'progress') {
+            if (task.onProgress) task.onProgress({ phase: message.phase, fraction: message.fraction });
+            return;
+        }
+
+        delete this.pending[message.id];
+        if (message.type === 'result') {
+            task.resolve(message.result);
+        } else {
+            task.reject(new Error(message.message));
+        }
+    },
+
+    /**
+     * Build the worker script from the loaded modules
+     * @returns {string} JavaScript source
+     */
+    createSource() {
+        const pakoScript = typeof document !== 'undefined' &&
+            document.querySelector('script[src*="pako"]');
+        const lines = [];
+        if (pakoScript) {
+            lines.push(`importScripts(${JSON.stringify(pakoScript.src)});`);
+        }
+        const modules = { BinaryUtils, PieceBuffer, BinaryJson, FileParser, BinaryFields };
+        for (const [name, obj] of Object.entries(modules)) {
+            lines.push(this.serializeModule(name, obj));
+        }
+        // Only the worker side of this module is needed there
+        lines.push(this.serializeModule('ParseWorker', {
+            handleTask: this.handleTask,
+            runTask: this.runTask
+        }));
+        lines.push(`self.onmessage = (e) => ParseWorker.handleTask(e.data, self);`);
+        return lines.join('\n\n');
+    },
+
+    /**
+     * Turn an object-literal module back into source
+     * Methods keep their own source; other members must be JSON values.
+     * @param {string} name - Global name
+     * @param {Object} obj - Module object
+     * @returns {string} `const name = { ... };`
+     */
+    serializeModule(name, obj) {
+        const members = Object.keys(obj).map(key => {
+            const value = obj[key];
+            if (typeof value !== 'function') {
+                return `${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+            }
+            const source = value.toString();
+            const isMethod = new RegExp(`^(async\\s+)?${key}\\s*\\(`).test(source);
+            return isMethod ? source : `${JSON.stringify(key)}: ${source}`;
+        });
+        return `const ${name} = {\n${members.join(',\n')}\n};`;
+    },
+
+    /**
+     * Worker side: run one task and post progress and the result back
+     * @param {Object} message - Task from run()
+     * @param {Object} port - Worker global scope
+     */
+    async handleTask(message, port) {
+        const progress = (phase, fraction) => {
+            port.postMessage({ id: message.id, type: 'progress', phase, fraction });
+        };
+        try {
+            const result = await this.runTask(message, progress);
+            const transfer = result instanceof Uint8Array ? [result.buffer] : [];
+            port.postMessage({ id: message.id, type: 'result', result }, transfer);
+        } catch (e) {
+            port.postMessage({ id: message.id, type: 'error', message: e.message });
+        }
+    },
+
+    /**
+     * Run a task (in the worker or, as a fallback, on the main thread)
+     * @param {Object} message - { type: 'parse', buffer } or { type: 'compress', data, gzipOptions }
+     * @param {Function} progress - Called with (phase, fraction)
+     * @returns {Promise<*>} Task result
+     */
+    async runTask(message, progress) {
+        switch (message.type) {
+            case 'parse': {
+                const cityData = await FileParser.parse(message.buffer,
+                    fraction => progress('Decompressing', fraction));
+
+                // Decode the Binary JSON structure once and resolve field paths
+                progress('Indexing', 0);
+                let treeError = null;
+                try {
+                    cityData.tree = BinaryJson.parse(cityData.binaryData);
+                } catch (e) {
+                    cityData.tree = null;
+                    treeError = e.message;
+                }
+                const { fields, issues } = BinaryFields.findAllFields(cityData.tree);
+                progress('Indexing', 1);
+
+                return { cityData, fields, issues, treeError };
+            }
+            case 'compress':
+                return FileParser.compress(message.data, message.gzipOptions,
+                    fraction => progress('Compressing', fraction));
+            default:
+                throw new Error('Unknown task ' + message.type);
+        }
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParseWorker;
+}
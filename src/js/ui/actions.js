@@ -4,12 +4,25 @@
  */
 
 const Actions = {
+    // Last file passed to diagnoseFile, offered to Recover Data
+    diagnosedFile: null,
+    // Sessions from an earlier visit ({ key, session }), until resumed or discarded
+    storedSessions: [],
+    // Files picked in the compare panel
+    compareFiles: { A: null, B: null },
+    // Batch edit: inputs { file, name }, the loaded recipe and the last results
+    batchFiles: [],
+    batchRecipe: null,
+    batchResults: null,
+
     /**
      * Initialize all event handlers
      */
     init() {
         // File input
         document.getElementById('fileInput').addEventListener('change', this.handleFileSelect.bind(this));
+        document.getElementById('diagnoseInput')?.addEventListener('change', this.handleDiagnoseSelect.bind(this));
+        document.getElementById('recoverBtn')?.addEventListener('click', this.handleRecover.bind(this));
         
         // Drag and drop
         const dropZone = document.getElementById('dropZone');
@@ -35,8 +48,173 @@ const Actions = {
         document.getElementById('gamemodeSelect')?.addEventListener('change', this.handleGamemodeChange.bind(this));
         document.getElementById('binaryName')?.addEventListener('change', this.handleNameChange.bind(this));
         
+        // Raw tree browser
+        Display.initTreeBrowser({
+            loadRoot: () => CityManager.getRootView(),
+            loadChildren: (path, start, count) => CityManager.getChildViews(path, start, count),
+            onEdit: this.handleNodeEdit.bind(this),
+            onSelect: (path) => Display.showHexSpan(CityManager.getPathSpan(path))
+        });
+        
+        // Header editor and consistency sync
+        Display.initHeaderEditor({
+            onEdit: this.handleHeaderEdit.bind(this),
+            onSync: this.handleSync.bind(this)
+        });
+        
+        // Backup library
+        document.getElementById('showBackupsLink')?.addEventListener('click', this.handleShowBackups.bind(this));
+        document.getElementById('backupsBtn')?.addEventListener('click', this.handleShowBackups.bind(this));
+        document.getElementById('backupExportBtn')?.addEventListener('click', this.handleExportBackups.bind(this));
+        document.getElementById('backupImportInput')?.addEventListener('change', this.handleImportBackups.bind(this));
+        Display.initBackupLibrary({
+            onLoad: this.handleLoadBackup.bind(this),
+            onDownload: this.handleDownloadBackup.bind(this),
+            onDelete: this.handleDeleteBackup.bind(this),
+            onDeleteAll: this.handleDeleteAllBackups.bind(this)
+        });
+        
+        // Compare panel
+        document.getElementById('showCompareLink')?.addEventListener('click', () => Display.showCompare());
+        Display.initCompare({
+            onSelect: this.handleCompareSelect.bind(this),
+            onCompare: this.handleCompare.bind(this)
+        });
+        
+        // Batch edit
+        document.getElementById('folderInput')?.addEventListener('change', this.handleFileSelect.bind(this));
+        document.getElementById('batchRecipeInput')?.addEventListener('change', this.handleBatchRecipe.bind(this));
+        document.getElementById('batchRunBtn')?.addEventListener('click', this.handleBatchRun.bind(this));
+        document.getElementById('batchDownloadBtn')?.addEventListener('click', this.handleBatchDownload.bind(this));
+        document.getElementById('batchCloseBtn')?.addEventListener('click', this.handleBatchClose.bind(this));
+        
+        // City tabs
+        document.getElementById('tabFileInput')?.addEventListener('change', this.handleTabFileSelect.bind(this));
+        Display.initTabs({
+            onSwitch: this.handleSwitchTab.bind(this),
+            onClose: this.handleCloseTab.bind(this)
+        });
+        
+        // Edit recipes
+        document.getElementById('exportRecipeBtn')?.addEventListener('click', this.handleExportRecipe.bind(this));
+        document.getElementById('recipeInput')?.addEventListener('change', this.handleApplyRecipe.bind(this));
+        
+        // History sidebar: entries jump straight to their state
+        Display.initHistory({
+            onJump: this.handleHistoryJump.bind(this)
+        });
+        
+        // Hex inspector: offset cells jump to the field's bytes
+        Display.initHexViewer({
+            load: () => CityManager.getHexView()
+        });
+        const offsetCells = {
+            nameOffset: 'NAME',
+            estateOffset: 'ESTATE',
+            rankOffset: 'RANK',
+            gamemodeOffset: 'GAMEMODE',
+            uberOffset: 'UBER',
+            dsaOffset: 'DSA_SUPPLIES'
+        };
+        for (const [id, key] of Object.entries(offsetCells)) {
+            document.getElementById(id)?.addEventListener('click', () => {
+                Display.showHexSpan(CityManager.getFieldSpan(key));
+            });
+        }
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        
+        // Working session: write pending changes before the page goes away
+        document.getElementById('resumeSessionBtn')?.addEventListener('click', this.handleResumeSession.bind(this));
+        document.getElementById('discardSessionBtn')?.addEventListener('click', this.handleDiscardSession.bind(this));
+        window.addEventListener('pagehide', () => SessionStore.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') SessionStore.flush();
+        });
+        this.offerSession();
+    },
+
+    /**
+     * Offer to resume the sessions stored by an earlier visit
+     */
+    async offerSession() {
+        const stored = await SessionStore.loadAll();
+        // Tabs opened from now on must not overwrite these sessions
+        CityTabs.reserveIds(stored.map(entry => entry.key));
+        
+        this.storedSessions = [];
+        for (const entry of stored) {
+            if (entry.session && entry.session.version === CityManager.SESSION_VERSION) {
+                this.storedSessions.push(entry);
+            } else {
+                await SessionStore.remove(entry.key);
+            }
+        }
+        if (this.storedSessions.length === 0 || CityManager.currentCity) return;
+        Display.showSessionOffer(this.storedSessions.map(entry => entry.session));
+    },
+
+    /**
+     * Resume every stored session, each in its own tab
+     * A resumed session is stored again under its new tab before the old
+     * copy is removed; sessions that fail to open stay stored.
+     */
+    async handleResumeSession() {
+        const stored = this.storedSessions;
+        this.storedSessions = [];
+        if (stored.length === 0) return;
+        
+        const resumed = [];
+        const failed = [];
+        const withoutHistory = [];
+        for (const { key, session } of stored) {
+            try {
+                const cityData = await this.openInTab(() => CityManager.restoreSession(session));
+                if (cityData.historyCleared) withoutHistory.push(session.fileName);
+                Display.showEditor(cityData);
+                this.saveSession();
+                await SessionStore.flush();
+                await SessionStore.remove(key);
+                resumed.push(session.fileName);
+            } catch (err) {
+                failed.push(`${session.fileName}: ${err.message}`);
+                console.error(err);
+            }
+        }
+        
+        if (failed.length > 0) {
+            Display.showError('Could not resume session: ' + failed.join('; '));
+        }
+        if (withoutHistory.length > 0) {
+            Display.showWarning(`Resumed ${resumed.join(', ')}, but the undo history of ` +
+                `${withoutHistory.join(', ')} could not be restored`);
+        } else if (resumed.length > 0) {
+            Display.showSuccess('Resumed ' + resumed.join(', '));
+        }
+    },
+
+    /**
+     * Discard the stored sessions
+     */
+    async handleDiscardSession() {
+        const stored = this.storedSessions;
+        this.storedSessions = [];
+        Display.hideSessionOffer();
+        for (const { key } of stored) {
+            await SessionStore.remove(key);
+        }
+    },
+
+    /**
+     * Store the active tab's working session soon (throttled by SessionStore)
+     * The session is captured from the tab it belongs to, even if another
+     * tab is active when the save runs.
+     */
+    saveSession() {
+        const id = CityTabs.activeId;
+        if (id === null) return;
+        SessionStore.schedule(id, () => CityTabs.getSession(id));
     },
 
     /**
@@ -69,10 +247,81 @@ const Actions = {
      * @param {Event} e - Change event
      */
     async handleFileSelect(e) {
+        const files = [...e.target.files].map(file => ({ file, name: file.webkitRelativePath || file.name }));
+        e.target.value = '';
+        await this.openFiles(files);
+    },
+
+    /**
+     * Open one file in the editor, or several in the batch panel
+     * @param {Array<Object>} files - Inputs { file, name }
+     */
+    async openFiles(files) {
+        if (files.length === 1) {
+            await this.loadFile(files[0].file);
+            return;
+        }
+        
+        // Folders may hold other files; only saves are edited
+        const cities = files.filter(input => input.name.endsWith('.city'));
+        if (cities.length === 0) {
+            if (files.length > 0) Display.showError('No .city files found');
+            return;
+        }
+        Display.hideError();
+        this.batchFiles = cities;
+        this.batchResults = null;
+        Display.showBatch(cities);
+    },
+
+    /**
+     * Handle file selection for diagnostics only
+     * @param {Event} e - Change event
+     */
+    async handleDiagnoseSelect(e) {
         const file = e.target.files[0];
         if (!file) return;
         
-        await this.loadFile(file);
+        Display.hideError();
+        await this.diagnoseFile(file);
+        e.target.value = '';
+    },
+
+    /**
+     * Run diagnostics on a file and show the report
+     * @param {File} file - File to check
+     */
+    async diagnoseFile(file) {
+        this.diagnosedFile = file;
+        try {
+            const buffer = await file.arrayBuffer();
+            Display.showDiagnostics(SaveDiagnostics.diagnose(buffer, file.name));
+        } catch (err) {
+            console.error(err);
+        }
+    },
+
+    /**
+     * Load the salvageable part of the last diagnosed file
+     */
+    async handleRecover() {
+        const file = this.diagnosedFile;
+        if (!file) return;
+        
+        Display.setLoading(true);
+        Display.hideError();
+        
+        try {
+            const cityData = await this.openInTab(() => CityManager.loadRecovered(file));
+            Display.showEditor(cityData);
+            this.saveSession();
+            Display.showSuccess('Recovered ' + file.name + ' - review the recovery report before saving');
+        } catch (err) {
+            Display.showError('Recovery failed: ' + err.message);
+            console.error(err);
+        } finally {
+            Display.setLoading(false);
+        }
     },
 
     /**
@@ -100,10 +349,39 @@ const Actions = {
         e.preventDefault();
         e.currentTarget.classList.remove('drag-over');
         
-        const file = e.dataTransfer.files[0];
-        if (file) {
-            await this.loadFile(file);
+        await this.openFiles(await this.collectDroppedFiles(e.dataTransfer));
+    },
+
+    /**
+     * List the files of a drop, reading dropped folders recursively
+     * @param {DataTransfer} dataTransfer - Drop data
+     * @returns {Promise<Array<Object>>} Inputs { file, name } - name keeps the folder path
+     */
+    async collectDroppedFiles(dataTransfer) {
+        const entries = [...(dataTransfer.items || [])]
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return [...dataTransfer.files].map(file => ({ file, name: file.name }));
         }
+        
+        const files = [];
+        const visit = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, name: entry.fullPath.replace(/^\//, '') });
+                return;
+            }
+            // readEntries returns the directory in chunks until it returns none
+            const reader = entry.createReader();
+            let chunk;
+            do {
+                chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of chunk) await visit(child);
+            } while (chunk.length > 0);
+        };
+        for (const entry of entries) await visit(entry);
+        return files;
     },
 
     /**
@@ -119,17 +397,33 @@ const Actions = {
         Display.setLoading(true);
         Display.hideError();
         
+        // A newer load cancels this one; leave the loader to it
+        let cancelled = false;
         try {
-            const cityData = await CityManager.load(file);
+            const cityData = await this.openInTab(() => CityManager.load(file, this.showProgress));
             Display.showEditor(cityData);
+            this.saveSession();
         } catch (err) {
+            if (err.cancelled) {
+                cancelled = true;
+                return;
+            }
             Display.showError('Error loading file: ' + err.message);
             console.error(err);
+            await this.diagnoseFile(file);
         } finally {
-            Display.setLoading(false);
+            if (!cancelled) Display.setLoading(false);
         }
     },
 
+    /**
+     * Forward ParseWorker progress to the loader
+     * @param {Object} progress - { phase, fraction }
+     */
+    showProgress(progress) {
+        Display.setLoading(true, progress);
+    },
+
     /**
      * Handle money input change
      * @param {Event} e - Change event
@@ -169,11 +463,15 @@ const Actions = {
         
         const result = CityManager.setMoney(value);
         
-        if (result.clamped) {
+        if (!result.success) {
+            Display.showError('Failed to change money: estate field could not be resolved');
+        } else if (result.clamped) {
             Display.showWarning(
                 `Value clamped to ${result.maxValue?.toLocaleString()} (max for ${result.typeInfo?.name || 'current type'}). ` +
-                `To store higher values, earn > ${result.maxValue?.toLocaleString()} in-game first.`
+                `The save structure could not be upgraded to a larger type.`
             );
+        } else if (result.upgraded) {
+            Display.showSuccess(`Money type upgraded from ${result.fromType.name} to ${result.typeInfo.name}`);
         }
         
         this.refreshDisplay();
@@ -185,7 +483,9 @@ const Actions = {
      */
     handleRankChange(e) {
         const value = parseInt(e.target.value) || 0;
-        CityManager.setRank(value);
+        if (!CityManager.setRank(value)) {
+            Display.showError('Failed to change rank');
+        }
         this.refreshDisplay();
     },
 
@@ -195,7 +495,9 @@ const Actions = {
      */
     handleDsaChange(e) {
         const value = parseInt(e.target.value) || 0;
-        CityManager.setDsaSupplies(value);
+        if (!CityManager.setDsaSupplies(value)) {
+            Display.showError('Failed to change DSA supplies');
+        }
         this.refreshDisplay();
     },
 
@@ -234,6 +536,78 @@ const Actions = {
         this.refreshDisplay();
     },
 
+    /**
+     * Handle an inline edit in the raw tree browser
+     * @param {string} path - Node path
+     * @param {string|boolean} rawValue - Input text, or the new boolean for bool nodes
+     * @param {Object} view - Node summary from CityManager.getNodeView
+     */
+    handleNodeEdit(path, rawValue, view) {
+        let value = rawValue;
+        
+        // Numeric types: accept commas and scientific notation like the money field
+        if (typeof view.value === 'number') {
+            value = parseFloat(String(rawValue).replace(/,/g, '').trim());
+            if (isNaN(value)) {
+                Display.showError('Invalid number format');
+                this.refreshDisplay();
+                return;
+            }
+        }
+        
+        const result = CityManager.setNodeValue(path, value);
+        if (result.success) {
+            Display.showSuccess(`${path} updated`);
+        } else {
+            Display.showError(result.error);
+        }
+        this.refreshDisplay();
+    },
+
+    /**
+     * Handle an edit in the header editor
+     * @param {string} path - Header key path
+     * @param {string} rawValue - Input text
+     * @param {Object} entry - Entry from CityManager.getHeaderEntries
+     */
+    handleHeaderEdit(path, rawValue, entry) {
+        let value = rawValue;
+        
+        if (entry.type === 'number') {
+            value = parseFloat(String(rawValue).replace(/,/g, '').trim());
+            if (isNaN(value)) {
+                Display.showError('Invalid number format');
+                this.refreshDisplay();
+                return;
+            }
+        } else if (entry.type === 'boolean') {
+            value = rawValue === 'true';
+        }
+        
+        const result = CityManager.setHeaderValue(path, value);
+        if (result.success) {
+            Display.showSuccess(`Header ${path} updated`);
+        } else {
+            Display.showError(result.error);
+        }
+        this.refreshDisplay();
+    },
+
+    /**
+     * Handle a header/binary sync button
+     * @param {string} key - Field key
+     * @param {string} direction - 'toBinary' or 'toHeader'
+     */
+    handleSync(key, direction) {
+        const result = CityManager.syncField(key, direction);
+        if (result.success) {
+            Display.showSuccess(direction === 'toBinary' ? 'Binary updated from header' : 'Header updated from binary');
+        } else {
+            Display.showError(result.error);
+        }
+        this.refreshDisplay();
+    },
+
     /**
      * Handle uber toggle
      */
@@ -242,6 +616,8 @@ const Actions = {
         if (newValue !== undefined) {
             Display.showSuccess(`Uber mode ${newValue ? 'enabled' : 'disabled'}`);
             this.refreshDisplay();
+        } else {
+            Display.showError('Failed to toggle uber mode');
         }
     },
 
@@ -265,6 +641,16 @@ const Actions = {
         }
     },
 
+    /**
+     * Handle a click on a history entry
+     * @param {number} position - Number of actions to have applied
+     */
+    handleHistoryJump(position) {
+        if (CityManager.jumpToHistory(position)) {
+            this.refreshDisplay();
+        }
+    },
+
     /**
      * Handle download original
      */
@@ -276,22 +662,252 @@ const Actions = {
         }
         
         const filename = 'original_' + CityManager.getSaveFilename();
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        this.downloadBlob(blob, filename);
         
         Display.showSuccess('Original file downloaded: ' + filename);
     },
 
+    /**
+     * Open the backup library
+     */
+    async handleShowBackups() {
+        await this.refreshBackups();
+        document.getElementById('backupLibrary')?.scrollIntoView?.({ behavior: 'smooth' });
+    },
+
+    /**
+     * Re-render the backup library with the stored backups
+     */
+    async refreshBackups() {
+        const backups = await BackupManager.list();
+        const estimate = await BackupManager.getStorageEstimate();
+        Display.showBackupLibrary(backups, estimate);
+    },
+
+    /**
+     * Open a backup in the editor
+     * @param {string} id - Backup id
+     */
+    async handleLoadBackup(id) {
+        Display.setLoading(true);
+        Display.hideError();
+        try {
+            const cityData = await this.openInTab(() => CityManager.loadBackup(id));
+            Display.hideBackupLibrary();
+            Display.showEditor(cityData);
+            Display.showSuccess('Loaded backup of ' + CityManager.fileName);
+            this.saveSession();
+        } catch (err) {
+            Display.showError('Error loading backup: ' + err.message);
+            console.error(err);
+        } finally {
+            Display.setLoading(false);
+        }
+    },
+
+    /**
+     * Download a backup as a .city file
+     * @param {string} id - Backup id
+     */
+    async handleDownloadBackup(id) {
+        const info = await BackupManager.getBackupInfo(id);
+        const blob = await BackupManager.getAsBlob(id);
+        if (!info || !blob) {
+            Display.showError('Backup not found');
+            return;
+        }
+        
+        // Name versions apart by the time they were stored
+        const stamp = new Date(info.timestamp).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        const filename = info.filename.replace(/\.city$/, '') + '_' + stamp + '.city';
+        this.downloadBlob(blob, filename);
+        
+        Display.showSuccess('Backup downloaded: ' + filename);
+    },
+
+    /**
+     * Delete one backup
+     * @param {string} id - Backup id
+     */
+    async handleDeleteBackup(id) {
+        const info = await BackupManager.getBackupInfo(id);
+        if (!info) return;
+        
+        const message = info.original
+            ? `This is the original version of ${info.filename} - it cannot be restored once deleted. Delete it?`
+            : `Delete this backup of ${info.filename}?`;
+        if (!confirm(message)) return;
+        
+        await BackupManager.clear(id);
+        CityManager.forgetBackup(id);
+        this.refreshDisplay();
+        await this.refreshBackups();
+    },
+
+    /**
+     * Delete every backup
+     */
+    async handleDeleteAllBackups() {
+        if (!confirm('Delete all backups, including the original versions of every file?')) {
+            return;
+        }
+        
+        await BackupManager.clearAll();
+        CityManager.forgetBackup();
+        this.refreshDisplay();
+        await this.refreshBackups();
+        Display.showSuccess('All backups deleted');
+    },
+
+    /**
+     * Load the recipe a batch applies before the panel's own changes
+     * @param {Event} e - Change event
+     */
+    async handleBatchRecipe(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        try {
+            this.batchRecipe = EditRecipe.parse(await file.text());
+            Display.setBatchRecipe(`${this.batchRecipe.name} (${this.batchRecipe.operations.length} operations)`);
+            Display.hideError();
+        } catch (err) {
+            this.batchRecipe = null;
+            Display.setBatchRecipe(null);
+            Display.showError('Error reading recipe: ' + err.message);
+        } finally {
+            e.target.value = '';
+        }
+    },
+
+    /**
+     * Build the batch recipe from the loaded recipe and the panel's fields
+     * @returns {Object} Recipe
+     */
+    getBatchRecipe() {
+        const operations = this.batchRecipe ? [...this.batchRecipe.operations] : [];
+        
+        const money = document.getElementById('batchMoney')?.value;
+        if (money) operations.push({ op: 'set', field: 'money', value: Number(money) });
+        const rank = document.getElementById('batchRank')?.value;
+        if (rank) operations.push({ op: 'set', field: 'rank', value: Number(rank) });
+        const gamemode = document.getElementById('batchGamemode')?.value;
+        if (gamemode) operations.push({ op: 'set', field: 'gamemode', value: gamemode });
+        const uber = document.getElementById('batchUber')?.value;
+        if (uber === 'toggle') {
+            operations.push({ op: 'toggle', field: 'uber' });
+        } else if (uber) {
+            operations.push({ op: 'set', field: 'uber', value: uber === 'on' });
+        }
+        
+        return EditRecipe.create(this.batchRecipe ? this.batchRecipe.name : 'Batch edit', operations);
+    },
+
+    /**
+     * Apply the batch changes to every file
+     */
+    async handleBatchRun() {
+        const recipe = this.getBatchRecipe();
+        if (recipe.operations.length === 0) {
+            Display.showError('Choose at least one change or a recipe');
+            return;
+        }
+        
+        Display.hideError();
+        Display.setLoading(true);
+        // With no active tab, session captures read each tab's own state, never a batch file
+        this.storeTabView();
+        CityTabs.detach();
+        try {
+            this.batchResults = await BatchEditor.run(this.batchFiles, recipe, {}, (progress) => {
+                Display.setLoading(true, {
+                    phase: `Editing ${progress.fileName} (${progress.index + 1}/${progress.count})`,
+                    fraction: progress.index / progress.count
+                });
+            });
+            Display.renderBatchResults(this.batchResults);
+        } catch (err) {
+            Display.showError('Batch edit failed: ' + err.message);
+            console.error(err);
+        } finally {
+            if (CityTabs.restore()) this.showTab();
+            Display.setLoading(false);
+        }
+    },
+
+    /**
+     * Download every edited file of the last batch as one zip
+     */
+    handleBatchDownload() {
+        if (!this.batchResults) return;
+        
+        const archive = BatchEditor.createArchive(this.batchResults);
+        const stamp = new Date().toISOString().slice(0, 10);
+        this.downloadBlob(new Blob([archive], { type: 'application/zip' }), `theotown-batch-${stamp}.zip`);
+    },
+
+    /**
+     * Leave the batch panel
+     */
+    handleBatchClose() {
+        this.batchFiles = [];
+        this.batchResults = null;
+        Display.hideBatch();
+    },
+
+    /**
+     * Download the applied history entries as a recipe
+     */
+    handleExportRecipe() {
+        const cityName = CityManager.currentCity?.header.name || 'city';
+        const name = prompt('Recipe name:', `Edits from ${cityName}`);
+        if (name === null) return;
+        
+        const recipe = EditRecipe.fromHistory(name.trim() || 'Recipe');
+        if (recipe.operations.length === 0) {
+            Display.showWarning('Nothing to export - the history has no applied edits');
+            return;
+        }
+        
+        const filename = recipe.name.replace(/[^\w-]+/g, '_') + '.recipe.json';
+        this.downloadBlob(new Blob([EditRecipe.stringify(recipe)], { type: 'application/json' }), filename);
+        Display.showSuccess(`Recipe exported: ${filename} (${recipe.operations.length} operation${recipe.operations.length === 1 ? '' : 's'})`);
+    },
+
+    /**
+     * Apply a recipe file to the loaded city
+     * @param {Event} e - Change event
+     */
+    async handleApplyRecipe(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        Display.hideError();
+        try {
+            const recipe = EditRecipe.parse(await file.text());
+            const report = CityManager.applyRecipe(recipe);
+            Display.renderRecipeReport(report);
+            this.refreshDisplay();
+            
+            if (!report.success) {
+                Display.showError('Recipe not applied: ' + report.errors.join(', '));
+            } else if (report.results.some(result => result.status !== 'applied')) {
+                Display.showWarning(`Recipe "${recipe.name}" applied with clamped or skipped operations`);
+            } else {
+                Display.showSuccess(`Recipe "${recipe.name}" applied`);
+            }
+        } catch (err) {
+            Display.showError('Error reading recipe: ' + err.message);
+            console.error(err);
+        } finally {
+            e.target.value = '';
+        }
+    },
+
     /**
      * Handle save button
      */
-    handleSave() {
+    async handleSave() {
         // Validate before saving
         const validation = CityManager.validate();
         if (!validation.valid) {
@@ -304,20 +920,43 @@ const Actions = {
             }
         }
         
-        const blob = CityManager.save();
-        if (!blob) return;
+        // Header values that disagree with the binary are listed in the Save panel
+        const inconsistencies = CityManager.getInconsistencies();
+        if (inconsistencies.length > 0) {
+            this.refreshDisplay();
+            const list = inconsistencies.map(item =>
+                `${item.label}: header ${Display.formatValue(item.headerValue)}, binary ${Display.formatValue(item.binaryValue)}`
+            );
+            if (!confirm('Header and binary disagree:\n' + list.join('\n') + '\n\nUse the sync buttons to fix this, or save anyway?')) {
+                return;
+            }
+        }
         
-        const filename = CityManager.getSaveFilename();
+        const preserve = document.getElementById('preserveMode')?.checked === true;
+        Display.setLoading(true);
+        let result;
+        try {
+            result = await CityManager.save({ preserve }, this.showProgress);
+        } catch (err) {
+            if (!err.cancelled) {
+                Display.showError('Error saving file: ' + err.message);
+                console.error(err);
+            }
+            return;
+        } finally {
+            Display.setLoading(false);
+        }
+        if (!result) return;
         
-        // Create download link
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        Display.renderVerifyReport(result.report);
+        if (!result.blob) {
+            Display.showError('Save verification failed - file was not downloaded');
+            return;
+        }
+        const blob = result.blob;
+        
+        const filename = CityManager.getSaveFilename();
+        this.downloadBlob(blob, filename);
         
         Display.showSuccess('File saved: ' + filename);
         this.refreshDisplay();
@@ -338,14 +977,198 @@ const Actions = {
      * Handle close button
      */
     handleClose() {
-        if (CityManager.hasChanges) {
-            if (!confirm('You have unsaved changes. Close anyway?')) {
-                return;
+        this.handleCloseTab(CityTabs.activeId);
+    },
+
+    /**
+     * Open a city in a new tab; the other tabs keep their cities
+     * If opening fails, the previous tab becomes active again (unless a newer
+     * load cancelled this one - it opens its own tab).
+     * @param {Function} open - Loads the city into CityManager and returns
+     *   (a promise of) its display data
+     * @returns {Promise<Object>} Display data of the new tab
+     */
+    async openInTab(open) {
+        this.storeTabView();
+        CityTabs.detach();
+        Display.hideEditor();
+        
+        try {
+            const cityData = await open();
+            CityTabs.add();
+            Display.setViewState(null);
+            Display.renderVerifyReport(null);
+            Display.renderTabs(CityTabs.list());
+            return cityData;
+        } catch (err) {
+            if (!err.cancelled && CityTabs.restore()) this.showTab();
+            throw err;
+        }
+    },
+
+    /**
+     * Switch to another tab
+     * @param {number} id - Tab id
+     */
+    handleSwitchTab(id) {
+        if (id === CityTabs.activeId) return;
+        
+        this.storeTabView();
+        if (CityTabs.activate(id)) this.showTab();
+    },
+
+    /**
+     * Close a tab, asking first if its city has unsaved changes
+     * @param {number} id - Tab id
+     */
+    handleCloseTab(id) {
+        const tab = CityTabs.list().find(t => t.id === id);
+        if (!tab) return;
+        if (tab.hasChanges && !confirm(`${tab.fileName} has unsaved changes. Close anyway?`)) {
+            return;
+        }
+        
+        const next = CityTabs.close(id);
+        SessionStore.remove(id);
+        if (next === null) {
+            Display.reset();
+            document.getElementById('fileInput').value = '';
+            return;
+        }
+        if (tab.active) {
+            CityTabs.activate(next);
+            this.showTab();
+        } else {
+            Display.renderTabs(CityTabs.list());
+        }
+    },
+
+    /**
+     * Open a file from the tab bar in a new tab
+     * @param {Event} e - Change event
+     */
+    async handleTabFileSelect(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) await this.loadFile(file);
+    },
+
+    /**
+     * Keep the active tab's view (tree expansion, hex selection) for when it is shown again
+     */
+    storeTabView() {
+        const tab = CityTabs.getActive();
+        if (tab) tab.view = Display.getViewState();
+    },
+
+    /**
+     * Show the active tab's city in the view it was left in
+     */
+    showTab() {
+        const tab = CityTabs.getActive();
+        if (!tab) return;
+        
+        Display.setViewState(tab.view);
+        Display.renderVerifyReport(null);
+        Display.showEditor(CityManager.getDisplayData());
+        Display.renderTabs(CityTabs.list());
+        this.saveSession();
+    },
+
+    /**
+     * Download every backup as one zip archive
+     */
+    async handleExportBackups() {
+        Display.setLoading(true);
+        try {
+            const archive = await BackupManager.exportArchive();
+            const filename = 'theotown-backups_' + new Date().toISOString().slice(0, 10) + '.zip';
+            this.downloadBlob(new Blob([archive], { type: 'application/zip' }), filename);
+            Display.showSuccess('Backups exported: ' + filename);
+        } catch (err) {
+            Display.showError('Error exporting backups: ' + err.message);
+            console.error(err);
+        } finally {
+            Display.setLoading(false);
+        }
+    },
+
+    /**
+     * Import backups from an archive made by Export
+     * @param {Event} e - Change event
+     */
+    async handleImportBackups(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        Display.setLoading(true);
+        Display.hideError();
+        try {
+            const report = await BackupManager.importArchive(await file.arrayBuffer());
+            let message = `Imported ${report.added} backup${report.added === 1 ? '' : 's'}, ${report.skipped} already stored`;
+            if (report.removed > 0) {
+                message += `, ${report.removed} removed by the retention policy`;
+            }
+            if (report.failed.length > 0) {
+                Display.showWarning(message + '. Failed: ' + report.failed.join('; '));
+            } else {
+                Display.showSuccess(message);
             }
+            await this.refreshBackups();
+        } catch (err) {
+            Display.showError('Error importing backups: ' + err.message);
+            console.error(err);
+        } finally {
+            Display.setLoading(false);
+            e.target.value = '';
+        }
+    },
+
+    /**
+     * Pick one of the two files to compare
+     * @param {string} side - 'A' (before) or 'B' (after)
+     * @param {File} file - Selected file
+     */
+    handleCompareSelect(side, file) {
+        this.compareFiles[side] = file;
+        Display.updateCompareFiles(this.compareFiles.A?.name, this.compareFiles.B?.name);
+    },
+
+    /**
+     * Compare the two selected files
+     */
+    async handleCompare() {
+        const { A, B } = this.compareFiles;
+        if (!A || !B) return;
+        
+        Display.setLoading(true);
+        Display.hideError();
+        try {
+            const result = await CityCompare.compare(await A.arrayBuffer(), await B.arrayBuffer());
+            Display.renderCompare(result);
+        } catch (err) {
+            Display.renderCompare(null);
+            Display.showError('Error comparing files: ' + err.message);
+            console.error(err);
+        } finally {
+            Display.setLoading(false);
         }
-        CityManager.clear();
-        Display.reset();
-        document.getElementById('fileInput').value = '';
+    },
+
+    /**
+     * Hand a blob to the browser as a download
+     * @param {Blob} blob - File content
+     * @param {string} filename - Suggested filename
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     },
 
     /**
@@ -354,7 +1177,13 @@ const Actions = {
     refreshDisplay() {
         const cityData = CityManager.getDisplayData();
         if (cityData) {
+            // Offsets may have moved, so re-resolve the hex selection
+            if (Display.hexSelection) {
+                Display.hexSelection = CityManager.getPathSpan(Display.hexSelection.path);
+            }
             Display.updateDisplay(cityData);
+            Display.renderTabs(CityTabs.list());
+            this.saveSession();
         }
     }
 };
@@ -4,17 +4,119 @@
  */
 
 const Display = {
+    // Raw tree browser state
+    treeHandlers: null,
+    expandedPaths: new Set(['root']),
+    TREE_PAGE_SIZE: 200,
+
+    // Header editor / consistency handlers
+    headerHandlers: null,
+
+    // Hex inspector state
+    hexHandlers: null,
+    hexView: null,
+    hexSelection: null,
+    HEX_BYTES_PER_ROW: 16,
+    HEX_ROW_HEIGHT: 20,
+
+    // History sidebar state
+    historyHandlers: null,
+    history: null,
+    // Refreshes relative times while the sidebar is open
+    historyTimer: null,
+    HISTORY_REFRESH_MS: 30000,
+    
+    // Backup library handlers
+    backupHandlers: null,
+
+    // City tab bar handlers
+    tabHandlers: null,
+
+    // Compare panel state
+    compareResult: null,
+    COMPARE_MAX_ROWS: 1000,
+
     /**
      * Show the editor panel with city data
      * @param {Object} cityData - Data from CityManager.getDisplayData()
      */
     showEditor(cityData) {
         document.getElementById('dropZone').style.display = 'none';
+        this.hideDiagnostics();
+        this.hideSessionOffer();
+        this.renderRecipeReport(null);
         document.getElementById('editor').style.display = 'block';
         
         this.updateDisplay(cityData);
     },
 
+    /**
+     * Hide the editor panel (while a city loads into a new tab)
+     */
+    hideEditor() {
+        document.getElementById('editor').style.display = 'none';
+    },
+
+    /**
+     * Bind the city tab bar
+     * @param {Object} handlers - { onSwitch(id), onClose(id) }
+     */
+    initTabs(handlers) {
+        this.tabHandlers = handlers;
+    },
+
+    /**
+     * Render the city tab bar
+     * @param {Object[]} tabs - Tabs from CityTabs.list
+     */
+    renderTabs(tabs) {
+        const list = document.getElementById('cityTabList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        for (const tab of tabs) {
+            const item = document.createElement('div');
+            item.className = 'city-tab' + (tab.active ? ' active' : '');
+            
+            const name = document.createElement('button');
+            name.className = 'city-tab-name';
+            name.textContent = (tab.hasChanges ? '• ' : '') + (tab.cityName || tab.fileName);
+            name.title = tab.fileName + (tab.hasChanges ? ' (unsaved changes)' : '');
+            name.addEventListener('click', () => this.tabHandlers?.onSwitch(tab.id));
+            item.appendChild(name);
+            
+            const close = document.createElement('button');
+            close.className = 'city-tab-close';
+            close.textContent = '×';
+            close.title = 'Close ' + tab.fileName;
+            close.addEventListener('click', () => this.tabHandlers?.onClose(tab.id));
+            item.appendChild(close);
+            
+            list.appendChild(item);
+        }
+    },
+
+    /**
+     * Capture the per-city view state (kept by the tab while it is inactive)
+     * @returns {Object} { expandedPaths, hexSelection }
+     */
+    getViewState() {
+        return {
+            expandedPaths: new Set(this.expandedPaths),
+            hexSelection: this.hexSelection
+        };
+    },
+
+    /**
+     * Restore a view state from getViewState
+     * @param {Object|null} view - View state, or null for a newly opened city
+     */
+    setViewState(view) {
+        this.expandedPaths = view ? new Set(view.expandedPaths) : new Set(['root']);
+        this.hexSelection = view ? view.hexSelection : null;
+        this.hexView = null;
+    },
+
     /**
      * Update all display values
      * @param {Object} cityData - Data from CityManager.getDisplayData()
@@ -139,6 +241,18 @@ const Display = {
             document.getElementById('dsaRow').style.display = 'none';
         }
         
+        // Field paths that could not be resolved to exactly one node
+        const validationStatus = document.getElementById('validationStatus');
+        if (validationStatus) {
+            if (cityData.fieldIssues && cityData.fieldIssues.length > 0) {
+                validationStatus.textContent = 'Unresolved fields: ' + cityData.fieldIssues.join('; ');
+                validationStatus.className = 'validation-status warning';
+            } else {
+                validationStatus.textContent = '';
+                validationStatus.className = 'validation-status';
+            }
+        }
+        
         // Undo/Redo buttons
         const undoBtn = document.getElementById('undoBtn');
         const redoBtn = document.getElementById('redoBtn');
@@ -169,10 +283,979 @@ const Display = {
             }
         }
         
+        // Header editor and header/binary consistency
+        this.renderHeaderEditor(cityData.headerEntries);
+        this.renderConsistencyReport(cityData.inconsistencies);
+        this.renderRecoveryReport(cityData.recovery);
+        
+        // Raw tree browser and hex inspector (built only while their panels are open)
+        this.refreshTreeBrowser();
+        this.refreshHexView();
+        
+        // History sidebar
+        this.renderHistory(cityData.history);
+        
         // Changes indicator
         this.updateChangesIndicator(cityData.hasChanges);
     },
 
+    /**
+     * Set the callbacks used by the header editor and consistency report
+     * @param {Object} handlers - { onEdit(path, value, entry), onSync(key, direction) }
+     */
+    initHeaderEditor(handlers) {
+        this.headerHandlers = handlers;
+    },
+
+    /**
+     * Render every header value with an inline editor
+     * @param {Array<Object>} entries - Entries from CityManager.getHeaderEntries
+     */
+    renderHeaderEditor(entries) {
+        const tbody = document.getElementById('headerTableBody');
+        if (!tbody) return;
+        
+        tbody.innerHTML = '';
+        for (const entry of entries) {
+            const row = document.createElement('tr');
+            
+            const keyCell = document.createElement('td');
+            keyCell.textContent = entry.path;
+            row.appendChild(keyCell);
+            
+            const valueCell = document.createElement('td');
+            if (!entry.editable) {
+                const text = document.createElement('span');
+                text.className = 'readonly';
+                text.textContent = JSON.stringify(entry.value);
+                valueCell.appendChild(text);
+            } else if (entry.type === 'boolean') {
+                const select = document.createElement('select');
+                select.className = 'gamemode-select';
+                ['true', 'false'].forEach(v => {
+                    const option = document.createElement('option');
+                    option.value = v;
+                    option.textContent = v;
+                    option.selected = String(entry.value) === v;
+                    select.appendChild(option);
+                });
+                select.addEventListener('change', () => this.headerHandlers?.onEdit(entry.path, select.value, entry));
+                valueCell.appendChild(select);
+            } else {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = String(entry.value);
+                input.addEventListener('change', () => this.headerHandlers?.onEdit(entry.path, input.value, entry));
+                valueCell.appendChild(input);
+            }
+            row.appendChild(valueCell);
+            
+            const typeCell = document.createElement('td');
+            typeCell.className = 'offset';
+            typeCell.textContent = entry.type;
+            row.appendChild(typeCell);
+            
+            tbody.appendChild(row);
+        }
+    },
+
+    /**
+     * Render header values that disagree with the binary, with sync buttons
+     * @param {Array<Object>} inconsistencies - Entries from CityManager.getInconsistencies
+     */
+    renderConsistencyReport(inconsistencies) {
+        const container = document.getElementById('consistencyReport');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (!inconsistencies || inconsistencies.length === 0) {
+            container.className = 'validation-status';
+            return;
+        }
+        
+        container.className = 'validation-status warning consistency-report';
+        const title = document.createElement('p');
+        title.textContent = 'Header and binary disagree:';
+        container.appendChild(title);
+        
+        for (const item of inconsistencies) {
+            const row = document.createElement('div');
+            row.className = 'consistency-row';
+            
+            const text = document.createElement('span');
+            text.textContent = `${item.label}: header ${this.formatValue(item.headerValue)} · binary ${this.formatValue(item.binaryValue)}`;
+            row.appendChild(text);
+            
+            const toBinary = document.createElement('button');
+            toBinary.className = 'btn btn-small btn-secondary';
+            toBinary.textContent = 'Use header';
+            toBinary.addEventListener('click', () => this.headerHandlers?.onSync(item.key, 'toBinary'));
+            row.appendChild(toBinary);
+            
+            const toHeader = document.createElement('button');
+            toHeader.className = 'btn btn-small btn-secondary';
+            toHeader.textContent = 'Use binary';
+            toHeader.addEventListener('click', () => this.headerHandlers?.onSync(item.key, 'toHeader'));
+            row.appendChild(toHeader);
+            
+            container.appendChild(row);
+        }
+    },
+
+    /**
+     * Show the result of the last save verification
+     * @param {Object|null} report - Report from SaveVerifier.verify, or null to clear
+     */
+    renderVerifyReport(report) {
+        const container = document.getElementById('verifyReport');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (!report) {
+            container.className = 'validation-status';
+            return;
+        }
+        
+        if (report.ok) {
+            container.className = 'validation-status valid';
+            container.textContent = '✓ Saved file verified: ' + report.checks.join(', ');
+            return;
+        }
+        
+        container.className = 'validation-status error';
+        const title = document.createElement('p');
+        title.textContent = 'Save blocked - the written file did not read back correctly:';
+        container.appendChild(title);
+        
+        const list = document.createElement('ul');
+        for (const error of report.errors) {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+    },
+
+    /**
+     * Show what applying a recipe did, one line per operation
+     * @param {Object|null} report - Result from CityManager.applyRecipe, or null to clear
+     */
+    renderRecipeReport(report) {
+        const summary = document.getElementById('recipeSummary');
+        const list = document.getElementById('recipeReport');
+        if (!summary || !list) return;
+        
+        list.innerHTML = '';
+        if (!report) {
+            summary.textContent = '';
+            return;
+        }
+        
+        const counts = { applied: 0, clamped: 0, skipped: 0 };
+        for (const result of report.results) counts[result.status]++;
+        summary.textContent = `${counts.applied} applied, ${counts.clamped} clamped, ${counts.skipped} skipped`;
+        
+        const statuses = { applied: 'ok', clamped: 'warning', skipped: 'error' };
+        const icons = { applied: '✓', clamped: '!', skipped: '✗' };
+        for (const result of report.results) {
+            const item = document.createElement('li');
+            item.className = statuses[result.status];
+            
+            const status = document.createElement('span');
+            status.className = 'status';
+            status.textContent = icons[result.status];
+            item.appendChild(status);
+            
+            const step = document.createElement('span');
+            step.className = 'step';
+            step.textContent = EditRecipe.describe(result.operation);
+            item.appendChild(step);
+            
+            const message = document.createElement('span');
+            const change = result.newValue !== undefined
+                ? `${this.formatValue(result.oldValue)} → ${this.formatValue(result.newValue)}`
+                : null;
+            message.textContent = [change, result.message].filter(Boolean).join(' - ');
+            item.appendChild(message);
+            
+            list.appendChild(item);
+        }
+    },
+
+    /**
+     * Set the callbacks used by the raw tree browser
+     * @param {Object} handlers - { loadChildren(path, start, count), onEdit(path, value, view), onSelect(path) }
+     */
+    initTreeBrowser(handlers) {
+        this.treeHandlers = handlers;
+        document.getElementById('treePanel')?.addEventListener('toggle', () => this.refreshTreeBrowser());
+    },
+
+    /**
+     * Rebuild the raw tree browser if its panel is open, or empty it
+     */
+    refreshTreeBrowser() {
+        const panel = document.getElementById('treePanel');
+        if (panel && !panel.open) {
+            const container = document.getElementById('treeBrowser');
+            if (container) container.innerHTML = '';
+            return;
+        }
+        this.renderTreeBrowser(this.treeHandlers ? this.treeHandlers.loadRoot() : null);
+    },
+
+    /**
+     * Render the raw tree browser, keeping expanded nodes open
+     * @param {Object|null} rootView - Root node summary from CityManager.getNodeView
+     */
+    renderTreeBrowser(rootView) {
+        const container = document.getElementById('treeBrowser');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (!rootView) {
+            container.textContent = 'Save structure could not be decoded';
+            return;
+        }
+        container.appendChild(this.createTreeNode(rootView));
+    },
+
+    /**
+     * Create the DOM for one tree node (children are rendered only when expanded)
+     * @param {Object} view - Node summary from CityManager.getNodeView
+     * @returns {HTMLElement} Tree node element
+     */
+    createTreeNode(view) {
+        const item = document.createElement('div');
+        item.className = 'tree-node';
+        
+        const row = document.createElement('div');
+        row.className = 'tree-row';
+        item.appendChild(row);
+        
+        const isContainer = view.childCount !== null;
+        const toggle = document.createElement('span');
+        toggle.className = 'tree-toggle';
+        row.appendChild(toggle);
+        
+        const label = document.createElement('span');
+        label.className = 'tree-key';
+        label.textContent = view.label;
+        label.title = view.path;
+        row.appendChild(label);
+        
+        const type = document.createElement('span');
+        type.className = 'tree-type';
+        type.textContent = `${view.typeName} 0x${view.type.toString(16).padStart(2, '0')}`;
+        row.appendChild(type);
+        
+        const value = document.createElement('span');
+        value.className = 'tree-value';
+        if (isContainer) {
+            value.textContent = view.kind === 'object' ? `{${view.childCount}}` : `[${view.childCount}]`;
+        } else {
+            value.appendChild(this.createTreeEditor(view));
+        }
+        row.appendChild(value);
+        
+        const offset = document.createElement('span');
+        offset.className = 'offset offset-link';
+        offset.textContent = view.offset;
+        offset.title = 'Show in hex inspector';
+        offset.addEventListener('click', () => this.treeHandlers?.onSelect(view.path));
+        row.appendChild(offset);
+        
+        if (isContainer) {
+            const children = document.createElement('div');
+            children.className = 'tree-children';
+            item.appendChild(children);
+            
+            const setExpanded = (expanded) => {
+                toggle.textContent = expanded ? '▾' : '▸';
+                children.innerHTML = '';
+                if (expanded) {
+                    this.expandedPaths.add(view.path);
+                    this.renderTreeChildren(view, children, 0);
+                } else {
+                    this.expandedPaths.delete(view.path);
+                }
+            };
+            toggle.addEventListener('click', () => setExpanded(!this.expandedPaths.has(view.path)));
+            setExpanded(this.expandedPaths.has(view.path));
+        }
+        
+        return item;
+    },
+
+    /**
+     * Render a page of children, with a button for the rest
+     * @param {Object} view - Container node summary
+     * @param {HTMLElement} container - Children element
+     * @param {number} start - Index of the first child to render
+     */
+    renderTreeChildren(view, container, start) {
+        if (!this.treeHandlers) return;
+        
+        const children = this.treeHandlers.loadChildren(view.path, start, this.TREE_PAGE_SIZE);
+        children.forEach(child => container.appendChild(this.createTreeNode(child)));
+        
+        const rendered = start + children.length;
+        if (children.length > 0 && rendered < view.childCount) {
+            const more = document.createElement('button');
+            more.className = 'btn btn-small btn-secondary';
+            more.textContent = `Show more (${(view.childCount - rendered).toLocaleString()} remaining)`;
+            more.addEventListener('click', () => {
+                more.remove();
+                this.renderTreeChildren(view, container, rendered);
+            });
+            container.appendChild(more);
+        }
+    },
+
+    /**
+     * Create the inline editor (or read-only text) for a primitive node
+     * @param {Object} view - Node summary from CityManager.getNodeView
+     * @returns {HTMLElement} Editor element
+     */
+    createTreeEditor(view) {
+        if (!view.editable) {
+            const text = document.createElement('span');
+            text.className = 'readonly';
+            text.textContent = String(view.value);
+            return text;
+        }
+        
+        if (typeof view.value === 'boolean') {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small btn-secondary';
+            button.textContent = view.value ? 'true' : 'false';
+            button.addEventListener('click', () => this.treeHandlers?.onEdit(view.path, !view.value, view));
+            return button;
+        }
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = String(view.value);
+        input.addEventListener('change', () => this.treeHandlers?.onEdit(view.path, input.value, view));
+        return input;
+    },
+
+    /**
+     * Bind scrolling for the virtualized hex inspector
+     * @param {Object} handlers - { load } returning data from CityManager.getHexView()
+     */
+    initHexViewer(handlers) {
+        this.hexHandlers = handlers;
+        const viewer = document.getElementById('hexViewer');
+        if (viewer) {
+            viewer.addEventListener('scroll', () => this.renderHexRows());
+        }
+        document.getElementById('hexPanel')?.addEventListener('toggle', () => {
+            if (!this.isHexOpen() || !this.hexView) this.refreshHexView();
+        });
+    },
+
+    /**
+     * Check whether the hex inspector panel is open
+     * @returns {boolean} True if open (or there is no panel to close)
+     */
+    isHexOpen() {
+        const panel = document.getElementById('hexPanel');
+        return !panel || panel.open;
+    },
+
+    /**
+     * Reload the hex inspector if its panel is open, or drop its data
+     */
+    refreshHexView() {
+        const hexView = this.isHexOpen() && this.hexHandlers ? this.hexHandlers.load() : null;
+        if (hexView) {
+            this.updateHexView(hexView);
+            return;
+        }
+        this.hexView = null;
+        const rowsEl = document.getElementById('hexRows');
+        if (rowsEl) rowsEl.innerHTML = '';
+        const summary = document.getElementById('hexSummary');
+        if (summary) summary.textContent = '—';
+    },
+
+    /**
+     * Update the hex inspector with new data
+     * @param {Object} hexView - Data from CityManager.getHexView()
+     */
+    updateHexView(hexView) {
+        this.hexView = hexView;
+        
+        const spacer = document.getElementById('hexSpacer');
+        if (spacer) {
+            const rows = Math.ceil(hexView.data.length / this.HEX_BYTES_PER_ROW);
+            spacer.style.height = (rows * this.HEX_ROW_HEIGHT) + 'px';
+        }
+        
+        this.updateHexSummary();
+        this.renderHexRows();
+    },
+
+    /**
+     * Update the hex inspector summary line
+     */
+    updateHexSummary() {
+        const summary = document.getElementById('hexSummary');
+        if (!summary || !this.hexView) return;
+        
+        const { data, original, diff } = this.hexView;
+        const changedBytes = diff.reduce((sum, range) => sum + range.end - range.start, 0);
+        let text = `${data.length.toLocaleString()} bytes`;
+        if (data.length !== original.length) {
+            const delta = data.length - original.length;
+            text += ` (${delta > 0 ? '+' : ''}${delta.toLocaleString()} vs original)`;
+        }
+        text += ` · ${changedBytes.toLocaleString()} changed`;
+        if (this.hexSelection) {
+            const sel = this.hexSelection;
+            text += ` · ${sel.path} [${sel.start}–${sel.end})`;
+        }
+        summary.textContent = text;
+    },
+
+    /**
+     * Highlight a node's byte span and scroll it into view
+     * @param {Object|null} span - Span from CityManager.getNodeSpan
+     */
+    showHexSpan(span) {
+        this.hexSelection = span;
+        
+        const panel = document.getElementById('hexPanel');
+        if (panel && !panel.open) {
+            panel.open = true;
+            this.refreshHexView();
+        }
+        
+        const viewer = document.getElementById('hexViewer');
+        if (viewer && span) {
+            const row = Math.floor(span.start / this.HEX_BYTES_PER_ROW);
+            viewer.scrollTop = Math.max(0, (row - 2) * this.HEX_ROW_HEIGHT);
+            viewer.scrollIntoView?.({ block: 'nearest' });
+        }
+        
+        this.updateHexSummary();
+        this.renderHexRows();
+    },
+
+    /**
+     * Render only the hex rows currently visible in the viewer
+     */
+    renderHexRows() {
+        const viewer = document.getElementById('hexViewer');
+        const rowsEl = document.getElementById('hexRows');
+        if (!viewer || !rowsEl || !this.hexView) return;
+        
+        const { data, original, sameLength, diff } = this.hexView;
+        const perRow = this.HEX_BYTES_PER_ROW;
+        const totalRows = Math.ceil(data.length / perRow);
+        const visibleRows = Math.ceil((viewer.clientHeight || 320) / this.HEX_ROW_HEIGHT) + 1;
+        const firstRow = Math.min(Math.floor(viewer.scrollTop / this.HEX_ROW_HEIGHT), Math.max(0, totalRows - 1));
+        const lastRow = Math.min(totalRows, firstRow + visibleRows);
+        
+        rowsEl.style.transform = `translateY(${firstRow * this.HEX_ROW_HEIGHT}px)`;
+        rowsEl.innerHTML = '';
+        
+        for (let row = firstRow; row < lastRow; row++) {
+            const rowStart = row * perRow;
+            const rowEl = document.createElement('div');
+            rowEl.className = 'hex-row';
+            
+            const offsetEl = document.createElement('span');
+            offsetEl.className = 'hex-offset';
+            offsetEl.textContent = rowStart.toString(16).padStart(8, '0');
+            rowEl.appendChild(offsetEl);
+            
+            const bytesEl = document.createElement('span');
+            bytesEl.className = 'hex-bytes';
+            const asciiEl = document.createElement('span');
+            asciiEl.className = 'hex-ascii';
+            
+            const rowBytes = PieceBuffer.read(data, rowStart, rowStart + perRow);
+            for (let i = rowStart; i < rowStart + rowBytes.length; i++) {
+                const byte = rowBytes[i - rowStart];
+                const classes = this.getHexByteClasses(i, diff);
+                
+                const byteEl = document.createElement('span');
+                byteEl.textContent = byte.toString(16).padStart(2, '0');
+                byteEl.className = classes;
+                if (sameLength && original[i] !== byte) {
+                    byteEl.title = `Offset ${i}: was ${original[i].toString(16).padStart(2, '0')}`;
+                } else {
+                    byteEl.title = `Offset ${i}`;
+                }
+                bytesEl.appendChild(byteEl);
+                
+                const charEl = document.createElement('span');
+                charEl.textContent = byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.';
+                charEl.className = classes;
+                asciiEl.appendChild(charEl);
+            }
+            
+            rowEl.appendChild(bytesEl);
+            rowEl.appendChild(asciiEl);
+            rowsEl.appendChild(rowEl);
+        }
+    },
+
+    /**
+     * Get CSS classes for a byte (selection segment and diff state)
+     * @param {number} offset - Byte offset
+     * @param {Array} diff - Changed ranges from PieceBuffer.changedRanges
+     * @returns {string} Class names
+     */
+    getHexByteClasses(offset, diff) {
+        const classes = [];
+        
+        const sel = this.hexSelection;
+        if (sel && offset >= sel.start && offset < sel.end) {
+            const segment = sel.segments.find(s => offset >= s.start && offset < s.end);
+            classes.push('hex-sel-' + (segment ? segment.kind : 'value'));
+        }
+        
+        // Binary search the sorted diff ranges
+        let lo = 0;
+        let hi = diff.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (offset < diff[mid].start) hi = mid - 1;
+            else if (offset >= diff[mid].end) lo = mid + 1;
+            else { classes.push('hex-changed'); break; }
+        }
+        
+        return classes.join(' ');
+    },
+
+    /**
+     * Bind the history sidebar
+     * @param {Object} handlers - { onJump(position) } - position is the number of applied actions
+     */
+    initHistory(handlers) {
+        this.historyHandlers = handlers;
+        document.getElementById('historyBtn')?.addEventListener('click', () => this.toggleHistory());
+        document.getElementById('historyCloseBtn')?.addEventListener('click', () => this.toggleHistory(false));
+    },
+
+    /**
+     * Open or close the history sidebar
+     * @param {boolean} [open] - Omit to toggle
+     */
+    toggleHistory(open) {
+        const sidebar = document.getElementById('historySidebar');
+        if (!sidebar) return;
+        
+        open = open === undefined ? !sidebar.classList.contains('open') : open;
+        sidebar.classList.toggle('open', open);
+        
+        clearInterval(this.historyTimer);
+        this.historyTimer = null;
+        if (open) {
+            this.renderHistory(this.history);
+            this.historyTimer = setInterval(() => this.renderHistory(this.history), this.HISTORY_REFRESH_MS);
+        }
+    },
+
+    /**
+     * Render the history timeline
+     * The first row is the oldest state still reachable; undone actions stay
+     * listed (greyed out) until a new edit replaces them.
+     * @param {Object|null} history - Timeline from HistoryManager.getTimeline
+     */
+    renderHistory(history) {
+        this.history = history;
+        
+        const count = document.getElementById('historyCount');
+        if (count) {
+            count.textContent = history ? history.position : 0;
+        }
+        
+        const list = document.getElementById('historyList');
+        if (!list || !history) return;
+        
+        const dropped = document.getElementById('historyDropped');
+        if (dropped) {
+            dropped.textContent = history.dropped > 0
+                ? `${history.dropped} older ${history.dropped === 1 ? 'change was' : 'changes were'} dropped - only the last ${history.limit} are kept`
+                : '';
+            dropped.style.display = history.dropped > 0 ? 'block' : 'none';
+        }
+        
+        list.innerHTML = '';
+        const rows = [{ description: history.dropped > 0 ? 'Oldest kept state' : 'Opened file', timestamp: null, undone: false }]
+            .concat(history.entries);
+        rows.forEach((entry, position) => {
+            const item = document.createElement('li');
+            if (position === history.position) {
+                item.className = 'current';
+            } else if (entry.undone) {
+                item.className = 'undone';
+            }
+            item.title = entry.undone ? 'Redo up to this change' : 'Go back to this state';
+            
+            const text = document.createElement('span');
+            text.textContent = entry.description;
+            item.appendChild(text);
+            
+            if (entry.timestamp) {
+                const time = document.createElement('span');
+                time.className = 'history-time';
+                time.textContent = this.formatRelativeTime(entry.timestamp);
+                time.title = this.formatDate(entry.timestamp);
+                item.appendChild(time);
+            }
+            
+            item.addEventListener('click', () => this.historyHandlers?.onJump(position));
+            list.appendChild(item);
+        });
+        
+        list.querySelector('.current')?.scrollIntoView?.({ block: 'nearest' });
+    },
+
+    /**
+     * Bind the backup library
+     * @param {Object} handlers - { onLoad(id), onDownload(id), onDelete(id), onDeleteAll() }
+     */
+    initBackupLibrary(handlers) {
+        this.backupHandlers = handlers;
+        document.getElementById('backupDeleteAllBtn')?.addEventListener('click', () => handlers.onDeleteAll());
+        document.getElementById('backupCloseBtn')?.addEventListener('click', () => this.hideBackupLibrary());
+    },
+
+    /**
+     * Show the backup library
+     * @param {Object[]} backups - Backup info from BackupManager.list (newest first)
+     * @param {Object|null} estimate - { usage, quota } from BackupManager.getStorageEstimate
+     */
+    showBackupLibrary(backups, estimate) {
+        const panel = document.getElementById('backupLibrary');
+        const table = document.getElementById('backupTable');
+        if (!panel || !table) return;
+        
+        const usage = document.getElementById('backupUsage');
+        if (usage) {
+            const total = backups.reduce((sum, backup) => sum + backup.size, 0);
+            const count = `${backups.length} backup${backups.length === 1 ? '' : 's'} (${this.formatBytes(total)} of data)`;
+            usage.textContent = estimate
+                ? `${count} - browser storage: ${this.formatBytes(estimate.usage)} used of ${this.formatBytes(estimate.quota)}`
+                : `${count} - browser storage usage is unknown`;
+        }
+        
+        const tbody = table.querySelector('tbody');
+        tbody.innerHTML = '';
+        table.style.display = backups.length > 0 ? '' : 'none';
+        
+        const button = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-small btn-secondary';
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            return btn;
+        };
+        
+        for (const backup of backups) {
+            const row = document.createElement('tr');
+            
+            const file = document.createElement('td');
+            file.textContent = backup.filename;
+            if (backup.original) {
+                const badge = document.createElement('span');
+                badge.className = 'backup-badge';
+                badge.textContent = 'original';
+                badge.title = 'First version of this file - kept by the retention policy';
+                file.appendChild(badge);
+            }
+            row.appendChild(file);
+            
+            const city = document.createElement('td');
+            city.textContent = backup.cityName !== null ? backup.cityName : '—';
+            row.appendChild(city);
+            
+            const date = document.createElement('td');
+            date.textContent = this.formatDate(backup.timestamp);
+            row.appendChild(date);
+            
+            const size = document.createElement('td');
+            size.textContent = this.formatBytes(backup.size);
+            row.appendChild(size);
+            
+            const actions = document.createElement('td');
+            actions.className = 'backup-actions';
+            actions.appendChild(button('Load', 'Open this version in the editor', () => this.backupHandlers?.onLoad(backup.id)));
+            actions.appendChild(button('Download', 'Download this version as a .city file', () => this.backupHandlers?.onDownload(backup.id)));
+            actions.appendChild(button('Delete', 'Delete this backup', () => this.backupHandlers?.onDelete(backup.id)));
+            row.appendChild(actions);
+            
+            tbody.appendChild(row);
+        }
+        
+        const deleteAll = document.getElementById('backupDeleteAllBtn');
+        if (deleteAll) {
+            deleteAll.disabled = backups.length === 0;
+        }
+        
+        panel.style.display = 'block';
+    },
+
+    /**
+     * Hide the backup library
+     */
+    hideBackupLibrary() {
+        const panel = document.getElementById('backupLibrary');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    },
+
+    /**
+     * Bind the compare panel
+     * @param {Object} handlers - { onSelect(side, file), onCompare() }
+     */
+    initCompare(handlers) {
+        for (const side of ['A', 'B']) {
+            document.getElementById('compareInput' + side)?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) handlers.onSelect(side, file);
+                e.target.value = '';
+            });
+        }
+        document.getElementById('compareBtn')?.addEventListener('click', () => handlers.onCompare());
+        document.getElementById('compareFilter')?.addEventListener('change', () => this.renderCompare());
+        document.getElementById('compareCloseBtn')?.addEventListener('click', () => this.hideCompare());
+    },
+
+    /**
+     * Show the compare panel
+     */
+    showCompare() {
+        const panel = document.getElementById('comparePanel');
+        if (panel) {
+            panel.style.display = 'block';
+        }
+    },
+
+    /**
+     * Hide the compare panel
+     */
+    hideCompare() {
+        const panel = document.getElementById('comparePanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    },
+
+    /**
+     * Show the selected files and whether both are ready
+     * @param {string|null} nameA - First file name
+     * @param {string|null} nameB - Second file name
+     */
+    updateCompareFiles(nameA, nameB) {
+        const labelA = document.getElementById('compareNameA');
+        const labelB = document.getElementById('compareNameB');
+        if (labelA) labelA.textContent = nameA || 'Before...';
+        if (labelB) labelB.textContent = nameB || 'After...';
+        
+        const btn = document.getElementById('compareBtn');
+        if (btn) {
+            btn.disabled = !nameA || !nameB;
+        }
+    },
+
+    /**
+     * Render a comparison, filtered by the status select
+     * @param {Object} [result] - Result from CityCompare.compare (default: the last one)
+     */
+    renderCompare(result) {
+        if (result !== undefined) this.compareResult = result;
+        result = this.compareResult;
+        
+        const summary = document.getElementById('compareSummary');
+        const table = document.getElementById('compareTable');
+        if (!summary || !table) return;
+        
+        const tbody = table.querySelector('tbody');
+        tbody.innerHTML = '';
+        if (!result) {
+            summary.textContent = '';
+            table.style.display = 'none';
+            return;
+        }
+        
+        const counts = result.summary;
+        summary.textContent = `${counts.changed} changed, ${counts.added} added, ${counts.removed} removed` +
+            ` (${counts.typeChanged} type change${counts.typeChanged === 1 ? '' : 's'}), ${counts.unchanged.toLocaleString()} values unchanged`;
+        
+        const filter = document.getElementById('compareFilter')?.value || 'all';
+        const rows = result.rows.filter(row =>
+            filter === 'all' || (filter === 'type' ? row.typeChanged : row.status === filter));
+        table.style.display = rows.length > 0 ? '' : 'none';
+        
+        // Containers show their size instead of a value
+        const describe = (value, count, type) => {
+            if (type === null) return '—';
+            if (count !== null) return `${type} (${count} item${count === 1 ? '' : 's'})`;
+            return this.formatValue(value);
+        };
+        
+        for (const row of rows.slice(0, this.COMPARE_MAX_ROWS)) {
+            const tr = document.createElement('tr');
+            tr.className = 'compare-' + row.status;
+            
+            const field = document.createElement('td');
+            field.textContent = row.path;
+            if (row.label) {
+                const label = document.createElement('span');
+                label.className = 'compare-label';
+                label.textContent = row.label;
+                field.appendChild(label);
+            }
+            if (row.oldPath) {
+                const moved = document.createElement('span');
+                moved.className = 'compare-label';
+                moved.textContent = 'was ' + row.oldPath;
+                field.appendChild(moved);
+            }
+            tr.appendChild(field);
+            
+            const before = document.createElement('td');
+            before.textContent = describe(row.oldValue, row.oldCount, row.oldType);
+            tr.appendChild(before);
+            
+            const after = document.createElement('td');
+            after.textContent = describe(row.newValue, row.newCount, row.newType);
+            tr.appendChild(after);
+            
+            const type = document.createElement('td');
+            if (row.typeChanged) {
+                type.className = 'compare-type-changed';
+                type.textContent = `${row.oldType} → ${row.newType}`;
+            } else {
+                type.textContent = row.newType || row.oldType;
+            }
+            tr.appendChild(type);
+            
+            tbody.appendChild(tr);
+        }
+        
+        if (rows.length > this.COMPARE_MAX_ROWS) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 4;
+            td.className = 'panel-note';
+            td.textContent = `${(rows.length - this.COMPARE_MAX_ROWS).toLocaleString()} more not shown`;
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        }
+    },
+
+    /**
+     * Show the batch panel for a set of files
+     * @param {Array<Object>} files - Inputs { file, name }
+     */
+    showBatch(files) {
+        const panel = document.getElementById('batchPanel');
+        if (!panel) return;
+        
+        const list = document.getElementById('batchFiles');
+        if (list) {
+            const names = files.slice(0, 5).map(input => input.name).join(', ');
+            const more = files.length > 5 ? ` and ${files.length - 5} more` : '';
+            list.textContent = `${files.length} file${files.length === 1 ? '' : 's'}: ${names}${more}`;
+        }
+        
+        this.renderBatchResults(null);
+        document.getElementById('dropZone').style.display = 'none';
+        panel.style.display = 'block';
+    },
+
+    /**
+     * Hide the batch panel
+     */
+    hideBatch() {
+        const panel = document.getElementById('batchPanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+        document.getElementById('dropZone').style.display = 'block';
+    },
+
+    /**
+     * Show the name of the recipe a batch will apply
+     * @param {string|null} name - Recipe name, or null for none
+     */
+    setBatchRecipe(name) {
+        const label = document.getElementById('batchRecipeName');
+        if (label) {
+            label.textContent = name || 'Choose recipe...';
+        }
+    },
+
+    /**
+     * Render the per-file results of a batch
+     * @param {Object[]|null} results - Results from BatchEditor.run, or null to clear
+     */
+    renderBatchResults(results) {
+        const summary = document.getElementById('batchSummary');
+        const table = document.getElementById('batchTable');
+        const download = document.getElementById('batchDownloadBtn');
+        if (!summary || !table) return;
+        
+        const tbody = table.querySelector('tbody');
+        tbody.innerHTML = '';
+        table.style.display = results ? '' : 'none';
+        if (download) {
+            download.disabled = !results || !results.some(result => result.data);
+        }
+        if (!results) {
+            summary.textContent = '';
+            return;
+        }
+        
+        const counts = { success: 0, warning: 0, error: 0 };
+        for (const result of results) counts[result.status]++;
+        summary.textContent = `${counts.success} edited, ${counts.warning} edited with warnings, ${counts.error} failed`;
+        
+        const labels = { success: '✓ Edited', warning: '! Edited with warnings', error: '✗ Failed' };
+        for (const result of results) {
+            const row = document.createElement('tr');
+            
+            const file = document.createElement('td');
+            file.textContent = result.fileName;
+            row.appendChild(file);
+            
+            const status = document.createElement('td');
+            status.className = 'batch-' + result.status;
+            status.textContent = labels[result.status];
+            row.appendChild(status);
+            
+            const details = document.createElement('td');
+            const lines = [
+                ...result.errors,
+                ...result.clamped.map(message => 'Clamped ' + message),
+                ...result.skipped.map(message => 'Skipped ' + message),
+                ...result.warnings
+            ];
+            if (result.status !== 'error') {
+                lines.unshift(`${result.applied} change${result.applied === 1 ? '' : 's'} applied`);
+            }
+            const list = document.createElement('ul');
+            for (const line of lines) {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
+            }
+            details.appendChild(list);
+            row.appendChild(details);
+            
+            tbody.appendChild(row);
+        }
+    },
+
     /**
      * Update the unsaved changes indicator
      * @param {boolean} hasChanges - Whether there are unsaved changes
@@ -187,12 +1270,165 @@ const Display = {
     /**
      * Show/hide loading state
      * @param {boolean} loading - Whether loading is in progress
+     * @param {Object} [progress] - { phase, fraction } shown as a progress bar
      */
-    setLoading(loading) {
+    setLoading(loading, progress) {
         const loader = document.getElementById('loader');
         if (loader) {
             loader.style.display = loading ? 'block' : 'none';
         }
+        
+        // Progress from ParseWorker: { phase, fraction }
+        const text = document.getElementById('loaderText');
+        const bar = document.getElementById('loaderBar');
+        if (loading && progress) {
+            const percent = Math.round(progress.fraction * 100);
+            if (text) text.textContent = `${progress.phase}... ${percent}%`;
+            if (bar) {
+                bar.style.width = percent + '%';
+                bar.parentElement.style.display = 'block';
+            }
+        } else {
+            if (text) text.textContent = 'Loading...';
+            if (bar) {
+                bar.style.width = '0';
+                bar.parentElement.style.display = 'none';
+            }
+        }
+    },
+
+    /**
+     * Show a diagnostics report for a file
+     * @param {Object} report - Report from SaveDiagnostics.diagnose
+     */
+    showDiagnostics(report) {
+        const panel = document.getElementById('diagnostics');
+        const list = document.getElementById('diagnosticsList');
+        if (!panel || !list) return;
+        
+        const summary = document.getElementById('diagnosticsSummary');
+        if (summary) {
+            const format = report.format ? `, payload ${SaveDiagnostics.FORMATS[report.format]}` : '';
+            summary.textContent = `${report.fileName} - ${report.fileSize} bytes${format} - ` +
+                (report.ok ? 'no problems found' : 'problems found');
+        }
+        
+        const icons = { ok: '✓', warning: '!', error: '✗' };
+        list.innerHTML = '';
+        for (const check of report.checks) {
+            const item = document.createElement('li');
+            item.className = check.status;
+            
+            const status = document.createElement('span');
+            status.className = 'status';
+            status.textContent = icons[check.status];
+            item.appendChild(status);
+            
+            const step = document.createElement('span');
+            step.className = 'step';
+            step.textContent = check.step;
+            item.appendChild(step);
+            
+            const message = document.createElement('span');
+            message.textContent = check.message;
+            item.appendChild(message);
+            
+            if (check.detail) {
+                const detail = document.createElement('pre');
+                detail.textContent = check.detail;
+                item.appendChild(detail);
+            }
+            
+            list.appendChild(item);
+        }
+        
+        const recoverBtn = document.getElementById('recoverBtn');
+        if (recoverBtn) {
+            recoverBtn.style.display = report.recoverable ? 'inline-flex' : 'none';
+        }
+        
+        panel.style.display = 'block';
+    },
+
+    /**
+     * Show what was lost when a damaged file was recovered
+     * @param {Object|null} recovery - Report from CityManager.loadRecovered, or null
+     */
+    renderRecoveryReport(recovery) {
+        const container = document.getElementById('recoveryReport');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (!recovery) {
+            container.className = 'validation-status';
+            return;
+        }
+        
+        container.className = 'validation-status recovery-report ' + (recovery.complete ? 'valid' : 'warning');
+        const title = document.createElement('p');
+        title.textContent = recovery.complete
+            ? `Recovered file: all ${recovery.keptBytes} bytes were readable.`
+            : `Recovered file: ${recovery.keptBytes} bytes kept, ${recovery.discardedBytes} decompressed bytes dropped. Lost:`;
+        container.appendChild(title);
+        
+        if (recovery.lost.length > 0) {
+            const list = document.createElement('ul');
+            for (const entry of recovery.lost) {
+                const item = document.createElement('li');
+                item.textContent = entry;
+                list.appendChild(item);
+            }
+            container.appendChild(list);
+        }
+        
+        const note = document.createElement('p');
+        note.textContent = 'Check the city before saving - the repaired file replaces nothing until you save it.';
+        container.appendChild(note);
+    },
+
+    /**
+     * Offer to resume the stored sessions, one line per city
+     * @param {Object[]} sessions - Sessions from SessionStore.loadAll
+     */
+    showSessionOffer(sessions) {
+        const panel = document.getElementById('sessionOffer');
+        if (!panel) return;
+        
+        const summary = document.getElementById('sessionSummary');
+        if (summary) {
+            summary.textContent = sessions.map(session => {
+                const changes = session.history.undoStack.length;
+                const name = session.city.header.name ? ` (${session.city.header.name})` : '';
+                return `${session.fileName}${name} - ${changes} change${changes === 1 ? '' : 's'}` +
+                    `${session.hasChanges ? ', not saved' : ''} - last edited ${this.formatRelativeTime(session.savedAt)}`;
+            }).join('\n');
+        }
+        const resumeBtn = document.getElementById('resumeSessionBtn');
+        if (resumeBtn) {
+            resumeBtn.textContent = sessions.length > 1 ? `Resume all (${sessions.length})` : 'Resume';
+        }
+        
+        panel.style.display = 'block';
+    },
+
+    /**
+     * Hide the resume offer
+     */
+    hideSessionOffer() {
+        const panel = document.getElementById('sessionOffer');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    },
+
+    /**
+     * Hide the diagnostics report
+     */
+    hideDiagnostics() {
+        const panel = document.getElementById('diagnostics');
+        if (panel) {
+            panel.style.display = 'none';
+        }
     },
 
     /**
@@ -259,6 +1495,11 @@ const Display = {
     reset() {
         document.getElementById('dropZone').style.display = 'block';
         document.getElementById('editor').style.display = 'none';
+        this.hexView = null;
+        this.hexSelection = null;
+        this.renderTabs([]);
+        this.toggleHistory(false);
+        this.renderVerifyReport(null);
         this.hideError();
     },
 
@@ -269,6 +1510,13 @@ const Display = {
         return num.toString();
     },
 
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(1) + ' GB';
+        if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+        if (bytes >= 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return bytes + ' B';
+    },
+
     formatTime(seconds) {
         if (!seconds) return '0:00';
         const hours = Math.floor(seconds / 3600);
@@ -282,6 +1530,22 @@ const Display = {
     formatDate(timestamp) {
         if (!timestamp) return 'Unknown';
         return new Date(timestamp).toLocaleString();
+    },
+
+    formatRelativeTime(timestamp) {
+        const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+        if (seconds < 60) return 'just now';
+        const mins = Math.floor(seconds / 60);
+        if (mins < 60) return `${mins} min ago`;
+        const hours = Math.floor(mins / 60);
+        if (hours < 24) return `${hours} h ago`;
+        return this.formatDate(timestamp);
+    },
+
+    formatValue(value) {
+        if (value === undefined) return '(missing)';
+        if (typeof value === 'number') return value.toLocaleString();
+        return JSON.stringify(value);
     }
 };
 